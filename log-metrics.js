@@ -3,629 +3,7003 @@
 const fs = require('fs');
 const readline = require('readline');
 const path = require('path');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
+const { parseArgs } = require('util');
+const { Worker, isMainThread, parentPort } = require('worker_threads');
 
 // Regex patterns for specific message types within JSON message field
 const moengageCallbackRegex = /Moengage Callback, message: ({.*})/;
 const errorRegex = /error/i;
 const warningRegex = /warn/i;
 
+// WhatsApp status lifecycle order; failed is terminal
+const statusRanks = { sent: 1, delivered: 2, read: 3, failed: 4 };
+
+// Default log-pattern rules, replaced entirely by a --rules file (rules.example.json is a copy to
+// start from). Each rule matches logger_name and message, extracts named groups (wamid, msgId, jobId,
+// wabaNumber) and increments a counter, an interval column and/or feeds a timing pair.
+const defaultRules = [
+  {
+    name: 'store',
+    logger: 'Store',
+    pattern: '\\bstored\\b.*?(?<wamid>wamid\\.[\\w=+/-]+)(?:.*?msg_?id[:=]\\s*(?<msgId>[\\w-]+))?',
+    counter: 'storeOperations',
+    interval: 'stores'
+  },
+  {
+    name: 'cache-hit',
+    logger: 'Cache',
+    pattern: '\\bcache hit\\b(?:.*?(?<wabaNumber>\\d{6,}))?',
+    counter: 'cacheHits',
+    interval: 'cacheHits'
+  },
+  {
+    name: 'job-completed',
+    logger: 'Job',
+    pattern: '\\bjob (?:completed|finished)\\b(?:.*?job_?id[:=]\\s*(?<jobId>[\\w-]+))?',
+    counter: 'completedJobs',
+    interval: 'jobs'
+  }
+];
+
+// Counters a rule may increment directly; anything else becomes a custom counter.
+// Rules counting storeOperations also close out the pending wamid/msgId they extract.
+const ruleCounters = ['storeOperations', 'cacheHits', 'completedJobs'];
+
+// Sliding window sizes (minutes) for follow mode and rolling throughput
+const rollingWindows = [1, 5, 15];
+
+// How often follow mode checks the log file for new lines
+const followPollMs = 1000;
+
+// Metrics compared between runs, read from the log-metrics.json structure
+const comparedMetrics = [
+  { name: 'messages', label: 'Total Messages', better: 'higher', get: m => m.messages?.total },
+  { name: 'messagesPerSecond', label: 'Messages/sec', better: 'higher', get: m => m.messages?.perSecond },
+  { name: 'peakMessagesPerMinute', label: 'Peak Messages/min', better: 'higher', get: m => m.throughput?.peakMessagesPerMinute },
+  { name: 'jobsPerSecond', label: 'Jobs/sec', better: 'higher', get: m => m.jobs?.perSecond },
+  { name: 'successRate', label: 'Success Rate %', better: 'higher', get: m => m.messages?.successRate },
+  { name: 'deliveryRate', label: 'Delivery Rate %', better: 'higher', get: m => m.statuses?.funnel?.deliveryRate },
+  { name: 'readRate', label: 'Read Rate %', better: 'higher', get: m => m.statuses?.funnel?.readRate },
+  { name: 'failureRate', label: 'Failure Rate %', better: 'lower', get: m => m.statuses?.funnel?.failureRate },
+  { name: 'failedMessages', label: 'Failed Messages', better: 'lower', get: m => m.statuses?.funnel?.failed },
+  { name: 'errors', label: 'Errors', better: 'lower', get: m => m.errorCount ?? m.errors?.length },
+  { name: 'warnings', label: 'Warnings', better: 'lower', get: m => m.warningCount ?? m.warnings?.length },
+  { name: 'neverStored', label: 'Never Stored', better: 'lower', get: m => m.processing?.orphans?.count },
+  { name: 'processingP50', label: 'Processing p50 (ms)', better: 'lower', get: m => m.processing?.p50TimeMs },
+  { name: 'processingP95', label: 'Processing p95 (ms)', better: 'lower', get: m => m.processing?.p95TimeMs },
+  { name: 'processingP99', label: 'Processing p99 (ms)', better: 'lower', get: m => m.processing?.p99TimeMs },
+  { name: 'sentToDeliveredP95', label: 'Sent -> Delivered p95 (ms)', better: 'lower', get: m => m.statuses?.latency?.sentToDelivered?.p95Ms },
+  { name: 'deliveredToReadP95', label: 'Delivered -> Read p95 (ms)', better: 'lower', get: m => m.statuses?.latency?.deliveredToRead?.p95Ms },
+  { name: 'dataQualityIssues', label: 'Data Quality Issues', better: 'lower', get: m => m.dataQuality?.issues }
+];
+
+// Metrics the history command trends per day; rate changes are in percentage points
+const historyMetrics = [
+  { name: 'messages', label: 'Total Messages', better: 'higher' },
+  { name: 'messagesPerSecond', label: 'Messages/sec', better: 'higher' },
+  { name: 'peakMessagesPerMinute', label: 'Peak Messages/min', better: 'higher' },
+  { name: 'deliveryRate', label: 'Delivery Rate %', better: 'higher', rate: true },
+  { name: 'readRate', label: 'Read Rate %', better: 'higher', rate: true },
+  { name: 'failureRate', label: 'Failure Rate %', better: 'lower', rate: true },
+  { name: 'errors', label: 'Errors', better: 'lower' },
+  { name: 'warnings', label: 'Warnings', better: 'lower' },
+  { name: 'neverStored', label: 'Never Stored', better: 'lower' },
+  { name: 'processingP95', label: 'Processing p95 (ms)', better: 'lower' }
+];
+
+// Run history store: the file inside --history-dir, its default directory and the issue clusters kept per run
+const historyFileName = 'history.jsonl';
+const defaultHistoryDir = 'log-metrics-history';
+const historyClusterLimit = 20;
+
+// Files the extract, compare and history commands write beside the reports, skipped when reading a directory
+const commandOutputNames = ['log-metrics-extract.log', 'log-metrics-compare.json', 'log-metrics-compare.html', 'log-metrics-history.json', 'log-metrics-history.html'];
+
+// Alert rule metric names that differ from the compared metric names
+const alertAliases = {
+  orphanedWamids: 'neverStored',
+  orphans: 'neverStored',
+  failures: 'failedMessages',
+  peakThroughput: 'peakMessagesPerMinute'
+};
+
+// Exit codes for fired alerts, by the highest severity that fired
+const alertExitCodes = { warning: 2, critical: 3 };
+
+// Exit code when --strict finds more data quality issues than allowed
+const strictExitCode = 4;
+
+// Raw lines kept per error/warning cluster
+const clusterSampleSize = 3;
+
+// MDC fields that carry a request's trace id, tried in order (top level, dotted or nested);
+// --field-map trace=<path> names another
+const traceIdFields = ['traceId', 'trace_id', 'trace.id', 'X-B3-TraceId', 'requestId', 'request_id', 'reqId', 'mdc.traceId', 'mdc.requestId'];
+
+// Values extract can redact (all of them by default), the callback keys holding each kind and the prefix
+// of their pseudonyms
+const redactItems = ['recipients', 'phones', 'waba', 'biz'];
+const defaultRedaction = redactItems;
+const redactedCallbackKeys = { recipient_id: 'recipients', wa_id: 'recipients', from: 'recipients', display_phone_number: 'phones', phone_number_id: 'waba' };
+const pseudonymPrefixes = { recipients: 'recipient', phones: 'phone', waba: 'waba' };
+
+// Phone numbers in free text, matched per use: redaction hides +E.164 numbers and any other 10-15 digit run
+// except epoch seconds or milliseconds it has not already pseudonymized; trace masking only touches +E.164 numbers and numbers after a phone
+// or recipient key, so ids stay readable; cluster templates only take +E.164 numbers and leave the rest to <n>
+const redactedPhoneRegex = /\+?\b\d{10,15}\b/g;
+const epochLikeRegex = /^1\d{9}(?:\d{3})?$/;
+const maskedPhoneRegex = /((?<![A-Za-z])(?:to|from|recipient(?:_id)?|wa_id|phone(?:_number)?|msisdn|mobile)[\\"']*\s*[:=]?\s*[\\"']*)(\d{10,15})\b|\+(\d{10,15})\b/gi;
+const templatePhoneRegex = /\+\d{10,15}\b/g;
+
+// Traces listed as the slowest and as those with errors, and how each list is ordered
+const traceListSize = 50;
+const traceOrders = {
+  slowest: (a, b) => (b.end - b.start) - (a.end - a.start),
+  errored: (a, b) => (b.levels.error || 0) - (a.levels.error || 0) || a.start - b.start
+};
+
+// Data quality checks, in report order, and how many offending lines each keeps as samples
+const dataQualityChecks = {
+  unparseableLines: 'Unparseable lines',
+  missingFields: 'Lines missing required fields',
+  badTimestamps: 'Unparseable timestamps',
+  outOfOrderTimestamps: 'Timestamps earlier than the line before',
+  unexpectedCallbacks: 'Callback payloads with an unexpected shape'
+};
+const dataQualitySampleSize = 5;
+
+// Fields every log entry needs after input mapping
+const requiredFields = ['@timestamp', 'level', 'message', 'logger_name'];
+
+// Default throughput bucket size and the idle time listed as a potential outage
+const defaultBucket = '1m';
+const defaultIdleGap = '5m';
+
+// Most buckets the throughput table zero-fills; past that (a stray old line, a tiny --bucket over weeks)
+// only the buckets with lines are listed
+const maxFilledBuckets = 50000;
+
+// Throughput anomalies: buckets in the rolling median baseline and needed before flagging, robust
+// z-scores (distance from the median over 1.4826 x MAD) per severity, the smallest change per bucket
+// worth flagging, and the messages a silent WABA number must have missed (5x that is critical)
+const anomalyWindow = 30;
+const anomalyMinHistory = 5;
+const anomalyThresholds = { warning: 3.5, critical: 7 };
+const anomalyMinChange = 5;
+const anomalySilenceMissed = 10;
+
+// --low-memory defaults: how long idle correlation state is kept and how many samples each list keeps
+const defaultPendingTtl = '1h';
+const defaultSampleSize = 1000;
+
+// --workers never splits a file into ranges smaller than this, since each worker has a start-up cost
+const workerMinChunkBytes = 8 * 1024 * 1024;
+
+// Sketch sizes for --low-memory: HyperLogLog registers (about 0.8% error), Bloom filter bits and
+// hashes for retired wamids (about 0.3% false positives at 10M messages), and the relative width
+// of latency histogram buckets
+const hyperLogLogBits = 14;
+const bloomFilterBits = 2 ** 27;
+const bloomFilterHashes = 5;
+const durationPrecision = 0.01;
+
+// Figures --low-memory estimates or samples instead of keeping every value
+const lowMemoryApproximations = [
+  'wamids.unique',
+  'messageIds.unique',
+  'jobs.unique',
+  'wabaNumbers.messageDistribution.*.uniqueMessageIds',
+  'wabaNumbers.messageDistribution.*.uniqueWamids',
+  'statuses.latency',
+  'processing (times, histogram and byWabaNumber)',
+  'processing.orphans',
+  'bizData.groups.*.latency',
+  'recipients',
+  'duplicates',
+  'rules.timings',
+  'errors',
+  'warnings',
+  'traces'
+];
+
+// Upper bounds (ms) of the processing time histogram buckets
+const latencyBuckets = [100, 250, 500, 1000, 2500, 5000, 10000, 30000, 60000, 300000];
+
+// Field paths of the JSON log shapes we recognize; --field-map overrides any of them
+const jsonFieldMaps = {
+  logback: { timestamp: '@timestamp', level: 'level', message: 'message', logger: 'logger_name', thread: 'thread_name' },
+  ecs: { timestamp: '@timestamp', level: 'log.level', message: 'message', logger: 'log.logger', thread: 'process.thread.name' },
+  pino: { timestamp: 'time', level: 'level', message: 'msg', logger: 'logger', thread: 'thread' }
+};
+
+// Accepted --input-format values; docker unwraps the log field and detects the format inside it
+const inputFormats = ['auto', ...Object.keys(jsonFieldMaps), 'docker', 'text'];
+
+// Logback's usual console layout, used for plain-text logs unless --text-pattern says otherwise
+const defaultTextPattern = '%d{yyyy-MM-dd HH:mm:ss.SSS} [%thread] %-5level %logger{36} - %msg%n';
+
+// Numeric levels written by pino and bunyan
+const numericLevels = { 10: 'TRACE', 20: 'DEBUG', 30: 'INFO', 40: 'WARN', 50: 'ERROR', 60: 'FATAL' };
+
 // Command line arguments handling
-const args = process.argv.slice(2);
-if (args.length < 1) {
-  console.error('Usage: ./log-metrics.js <logfile> [--output format]');
-  console.error('Formats: json, html, console (default: all)');
-  process.exit(1);
-}
+const usage = `Usage: ./log-metrics.js [serve] <logfile|dir|glob|-> [...] [options]
+       ./log-metrics.js compare <baseline.json> <current.json|logfile|dir|glob|-> [...] [options]
+       ./log-metrics.js history [options]
+       ./log-metrics.js extract <logfile|dir|glob|-> [...] [options]
+
+Inputs: files (.gz read transparently), directories, quoted globs, or - for stdin
+
+Options:
+  --output <formats>     Comma separated or repeated: json, html, console, csv (throughput, WABA and error
+                         tables), md (Markdown summary), ndjson (per-message events) or all, which is
+                         json, console and html (default: all)
+  --output-dir <dir>     Where reports are written (default: next to the first log file)
+  --output-file <f=path> Write one format to this path instead, e.g. md=incident.md; csv tables are named
+                         after it (run.csv gives run-throughput.csv, ...) (repeatable)
+  --rules <file>         JSON file or JS module exporting an array of log-pattern rules, replacing the
+                         built-in store, cache-hit and job rules (rules.example.json is a copy of them
+                         to start from)
+  --since <time>         Only lines at or after an ISO time or a relative age (e.g. 30m, 2h, 1d)
+  --until <time>         Only lines before an ISO time or a relative age
+  --waba <id>            Only this WABA phone_number_id (repeatable)
+  --logger <pattern>     Only lines whose logger_name matches this regex (case-insensitive)
+  --level <levels>       Only these levels, comma separated or repeated (e.g. error,warn)
+  --bucket <size>        Throughput bucket size, e.g. 10s, 1m, 5m or 1h (default: 1m)
+  --timezone <zone>      IANA timezone (or local) the buckets are aligned to (default: UTC)
+  --idle-gap <duration>  List gaps without log lines at least this long as outages (default: 5m)
+  --recipient-limit <n>  Flag recipients sent more than n messages (default: mean + 3 std devs)
+  --show-recipients      Show recipient numbers in full (masked by default in every output)
+  --group-by <field>     Break messages down by a biz_opaque_callback_data key, e.g. bizData.campaign_id
+                         (repeatable for nested groups, e.g. campaign then template)
+  --input-format <fmt>   auto, logback, ecs, pino (msg/time/logger JSON), docker or text (default: auto,
+                         detected per input from its first lines)
+  --field-map <f=path>   Where a JSON field lives, e.g. message=msg or level=log.level (repeatable or
+                         comma separated; fields: timestamp, level, message, logger, thread, trace)
+  --text-pattern <p>     Logback/log4j layout of plain-text logs; lines that do not match it (stack
+                         traces) are joined to the entry above (default: ${defaultTextPattern})
+  --low-memory           Bound memory on very large logs: unique counts, latency percentiles, recipients
+                         and error lists become estimates or samples (listed under memory.approximate)
+  --pending-ttl <dur>    With --low-memory, forget messages, pending stores and timing starts idle this
+                         long in log time (default: ${defaultPendingTtl})
+  --sample-size <n>      With --low-memory, errors, warnings, orphans and recipients kept (default: ${defaultSampleSize})
+  --workers <n>          Parse large plain JSON-lines files in n worker threads, split into line-aligned
+                         ranges and merged back into the same result; --low-memory estimates and samples
+                         may differ slightly (default: 1)
+  --trace <id>           Print the ordered timeline of one request's lines (by their traceId, requestId
+                         or --field-map trace) instead of writing reports
+  --history-dir <dir>    Append each run's metrics to ${historyFileName} in this directory
+  --follow               Keep tailing the file and redraw a live dashboard
+  --refresh <seconds>    Dashboard refresh interval in follow mode (default: 5)
+  --quiet                Hide progress messages and per-line parse errors
+  --assert <rule>        Alert when a rule holds, e.g. "errors > 10", "read rate < 60%", "readRate < 60"
+                         or "orphanedWamids > 0" (repeatable); never stored pairs messages with store
+                         lines, so a --rules file needs a rule counting storeOperations for it
+  --alert-rules <file>   JSON file or JS module exporting alert rules (strings or {expr, severity, name})
+  --alert-webhook <url>  POST the alert payload here when a rule fires
+  --alert-file <file>    Write the alert payload (fired or not) to this file
+  --strict               Fail (exit 4) when data quality issues exceed --strict-threshold
+  --strict-threshold <n> Issues allowed with --strict, a count or a percentage of lines like 1% (default: 0)
+  -h, --help             Show this help
 
-const logFile = args[0];
-const outputFormat = args.includes('--output') ? args[args.indexOf('--output') + 1] : 'all';
-
-// Metrics tracking
-let metrics = {
-  startTime: null,
-  endTime: null,
-  completedJobs: 0,
-  cacheHits: 0,
-  messagesSent: 0,
-  storeOperations: 0,
-  errors: [],
-  warnings: [],
-  logLevels: {},
-  uniqueWabaNumbers: new Set(),
-  messageIds: new Set(),
-  wamids: new Set(),
-  jobIds: new Set(),
-  wabaMessageMap: {}, // Track messages per WABA
-  timeIntervals: {}, // Track operations by minute
-  processingTimes: [], // Track time between message send and storage
-  messagesToStore: {} // Track messages waiting to be stored
+Exit codes: 0 ok, 1 usage or processing error, 2 warning alert fired, 3 critical alert fired,
+4 data quality issues above --strict-threshold
+(--assert rules are critical; alert-rules entries default to critical)
+
+Compare mode diffs a saved log-metrics.json against another run or fresh logs:
+  --threshold <value>    Flag changes beyond this percentage (default: 20), or name=value
+                         for one metric, e.g. errors=50 or wabaShare=5 (percentage points)
+
+History mode reports day-over-day and week-over-week trends of the runs recorded with --history-dir
+(default: ${defaultHistoryDir}). Runs recorded with other --waba, --logger or --level filters are left
+out, --since and --until pick the days, and reports go to --output-dir or the history directory.
+
+Extract mode writes the lines matching every filter (--since, --until, --level, --logger) and any selector
+to log-metrics-extract.log (or --output-file extract=<path>, - for stdout), redacted for sharing. Ids a
+selected line links (a msg_id's wamids and back) are followed from then on:
+  --wamid <id>           Select lines about this wamid (repeatable)
+  --msg-id <id>          Select lines about this msg_id (repeatable)
+  --waba <id>            Select lines about this WABA phone_number_id (repeatable)
+  --cluster <template>   Select error/warning lines whose cluster template contains this text (repeatable)
+  --trace <id>           Select the lines of this trace
+  --redact <items>       Comma separated or repeated: recipients (recipient_id, wa_id, from), phones (phone
+                         numbers anywhere), waba (phone_number_id and account ids), biz (every
+                         biz_opaque_callback_data field but msg_id), biz.<field>, or none
+                         (default: ${defaultRedaction.join(',')}); equal values get equal pseudonyms
+  --redact-map <file>    Keep the pseudonym -> value map here (private; reused so later extracts match)
+
+Serve mode exposes / (HTML), /api/metrics (JSON) and /metrics (Prometheus):
+  --port <port>          Port to listen on (default: 9464)
+  --host <host>          Address to bind (default: 127.0.0.1)`;
+
+const logLevels = ['trace', 'debug', 'info', 'warn', 'error', 'fatal'];
+
+// Line-level figures --waba cannot narrow, as most lines name no WABA number; with the filter on, the
+// reports label them as covering every number
+const wabaUnfilteredFigures = ['logLevels', 'errorCount', 'warningCount', 'errors', 'warnings', 'throughput.intervals.lines',
+  'throughput.intervals.errors', 'throughput.idleGaps', 'issueClusters', 'loggers', 'threads', 'traces', 'sources'];
+
+// Report formats; a reporter with a fileName is written to the output directory, others print.
+// A reporter may render several tables, each written next to the others as <name>-<table><ext>.
+const reporters = {
+  json: { fileName: 'log-metrics.json', savedMessage: 'JSON metrics saved to', render: finalMetrics => JSON.stringify(finalMetrics, null, 2) },
+  console: { savedMessage: 'Console summary saved to', render: renderConsoleSummary },
+  html: { fileName: 'log-metrics-report.html', savedMessage: 'HTML report generated at', render: generateHtmlReport, messageDetails: true },
+  csv: { fileName: 'log-metrics.csv', savedMessage: 'CSV table saved to', render: renderCsvTables },
+  md: { fileName: 'log-metrics-summary.md', savedMessage: 'Markdown summary saved to', render: renderMarkdownSummary },
+  ndjson: { fileName: 'log-metrics-events.ndjson', savedMessage: 'Message events saved to', render: renderMessageEvents, messageDetails: true }
 };
 
-(async () => {
-  try {
-    const rl = readline.createInterface({
-      input: fs.createReadStream(logFile),
-      crlfDelay: Infinity,
-    });
+// Formats --output all selects
+const defaultFormats = ['json', 'console', 'html'];
 
-    // Process each line of the log file
-    for await (const line of rl) {
-      try {
-        // Parse JSON log entry
-        const logEntry = JSON.parse(line);
-
-        const { level, message, '@timestamp': timestamp, logger_name } = logEntry;
-
-        // Track log levels
-        const levelLower = level.toLowerCase();
-        metrics.logLevels[levelLower] = (metrics.logLevels[levelLower] || 0) + 1;
-
-        // Update timestamp range
-        const logTime = new Date(timestamp);
-        if (!metrics.startTime || logTime < metrics.startTime) metrics.startTime = logTime;
-        if (!metrics.endTime || logTime > metrics.endTime) metrics.endTime = logTime;
-
-        // Track time intervals (by minute)
-        const timeKey = timestamp.substring(0, 16); // YYYY-MM-DDTHH:MM
-        if (!metrics.timeIntervals[timeKey]) {
-          metrics.timeIntervals[timeKey] = {
-            messages: 0,
-            cacheHits: 0,
-            jobs: 0,
-            stores: 0
-          };
-        }
+// Function to create an analyzer that accumulates metrics from log lines or parsed entries
+function createAnalyzer(options = {}) {
+  const lowMemory = options.lowMemory ? {
+    ttlMs: parseDuration(options.pendingTtl || defaultPendingTtl),
+    sampleSize: options.sampleSize || defaultSampleSize
+  } : null;
+  const analyzer = {
+    metrics: createMetrics(lowMemory),
+    rules: compileRules(options.rules || defaultRules),
+    filters: normalizeFilters(options.filters),
+    bucketing: createBucketing(options.bucket, options.timezone),
+    idleGapMs: parseDuration(options.idleGap || defaultIdleGap),
+    recipientLimit: options.recipientLimit || null,
+    showRecipients: Boolean(options.showRecipients),
+    groupBy: [].concat(options.groupBy || []),
+    inputFormat: options.inputFormat || 'auto',
+    fieldMap: options.fieldMap || {},
+    textPattern: compileTextPattern(options.textPattern || defaultTextPattern),
+    traceFields: options.fieldMap && options.fieldMap.trace ? [options.fieldMap.trace] : traceIdFields,
+    traceId: options.traceId || null, // The one trace whose every line is kept
+    inputs: {}, // Detected format and partly read entries per source
+    onWarning: options.onWarning || (() => {}),
+    onEntry: options.onEntry || null // Sees every entry that passed the filters, with its raw text (extract mode)
+  };
+  if (!inputFormats.includes(analyzer.inputFormat)) {
+    throw new RangeError(`Unknown input format ${analyzer.inputFormat}, expected one of ${inputFormats.join(', ')}`);
+  }
 
-        // Detect errors and warnings
-        if (levelLower === 'error') {
-          metrics.errors.push({ timestamp, message });
-        } else if (levelLower === 'warn') {
-          metrics.warnings.push({ timestamp, message });
-        }
+  return {
+    metrics: analyzer.metrics,
+    filters: analyzer.filters,
 
-        // Process Moengage Callback messages
-        const moengageMatch = message.match(moengageCallbackRegex);
-        if (moengageMatch && logger_name.includes('MoengageCallbackController')) {
-          try {
-            const callbackData = JSON.parse(moengageMatch[1]);
-            const entry = callbackData.entry?.[0];
-            const change = entry?.changes?.[0];
-            const value = change?.value;
-            const status = value?.statuses?.[0];
-
-            if (status && status.status === 'read') {
-              const wabaNumber = value.metadata?.phone_number_id;
-              const wamid = status.id;
-              const recipientId = status.recipient_id;
-              const bizData = status.biz_opaque_callback_data ? JSON.parse(status.biz_opaque_callback_data) : {};
-              const msgId = bizData.msg_id;
-
-              metrics.messagesSent++;
-              metrics.uniqueWabaNumbers.add(wabaNumber);
-              metrics.wamids.add(wamid);
-              metrics.messageIds.add(msgId);
-
-              // Track message per WABA
-              if (!metrics.wabaMessageMap[wabaNumber]) {
-                metrics.wabaMessageMap[wabaNumber] = {
-                  messageIds: new Set(),
-                  wamids: new Set(),
-                  count: 0
-                };
-              }
-              metrics.wabaMessageMap[wabaNumber].messageIds.add(msgId);
-              metrics.wabaMessageMap[wabaNumber].wamids.add(wamid);
-              metrics.wabaMessageMap[wabaNumber].count++;
-
-              // Track for processing time calculation
-              metrics.messagesToStore[wamid] = {
-                wabaNumber,
-                msgId,
-                sentTimestamp: timestamp
-              };
-
-              // Update time interval metrics
-              metrics.timeIntervals[timeKey].messages++;
-            }
-          } catch (parseError) {
-            console.error(`Error parsing Moengage callback data: ${parseError.message}`);
-          }
-        }
+    // Accepts a raw log line or an already parsed (Logback-shaped) log entry; call flush() after the
+    // last line, since a plain-text entry is only complete once the next one starts
+    ingest(input, source = 'default') {
+      if (typeof input === 'string') {
+        processLine(analyzer, input, source);
+      } else {
+        processEntry(analyzer, input, source);
+      }
+    },
 
-        // Note: No store operations, cache hits, or job completions in provided log sample
-        // These would need additional regex or logic based on specific log patterns
-      } catch (parseError) {
-        console.error(`Error parsing log line: ${parseError.message}`);
-        continue;
+    // Reads a text stream line by line, resolving when it ends
+    async ingestStream(stream, source = 'default') {
+      const rl = readline.createInterface({
+        input: stream,
+        crlfDelay: Infinity,
+      });
+
+      for await (const line of rl) {
+        processLine(analyzer, line, source);
       }
+      flushInput(analyzer, source);
+    },
+
+    // Processes entries still held back waiting for continuation lines
+    flush() {
+      Object.keys(analyzer.inputs).forEach(source => flushInput(analyzer, source));
+    },
+
+    hasData() {
+      return Boolean(analyzer.metrics.startTime);
+    },
+
+    // Same structure as log-metrics.json; throws if no timestamped line was ingested
+    finalize() {
+      return calculateMetrics(analyzer);
+    },
+
+    // Every message's store time and callback timeline, for the HTML explorer and NDJSON events; kept
+    // out of finalize() because it grows with the number of messages
+    messageDetails() {
+      return collectMessageDetails(analyzer);
+    },
+
+    // Continues a source read elsewhere up to here: line numbers go on from lineNumber, and lastTime
+    // (epoch ms of the entry above) keeps the out-of-order check going across the cut
+    resumeSource(source, { lineNumber = 0, lastTime = null } = {}) {
+      Object.assign(inputStateFor(analyzer, source), { lineNumber, lastTime });
+    },
+
+    // Folds in another analyzer's state (or a {metrics} object sent back by a worker); the other
+    // analyzer must cover later lines (the next shard) and use the same bucket size and timezone. Line
+    // numbers of a shard that counted a source from 1 again continue after this analyzer's lines
+    merge(other) {
+      if (other.flush) other.flush();
+      mergeMetrics(analyzer.metrics, other.metrics);
+      return this;
+    }
+  };
+}
+
+// Function to create an empty metrics state; lowMemory ({ttlMs, sampleSize}) swaps exact sets and
+// lists for sketches and samples and expires idle correlation state
+function createMetrics(lowMemory = null) {
+  const uniqueCounter = () => createUniqueCounter(Boolean(lowMemory));
+  return {
+    startTime: null,
+    endTime: null,
+    completedJobs: 0,
+    cacheHits: 0,
+    messagesSent: 0,
+    storeOperations: 0,
+    malformedBizData: 0, // Messages whose biz_opaque_callback_data was not a JSON object
+    errors: [], // Every error line, or a uniform sample in low-memory mode
+    warnings: [],
+    errorCount: 0,
+    warningCount: 0,
+    logLevels: {},
+    uniqueWabaNumbers: new Set(),
+    messageIds: uniqueCounter(),
+    wamids: uniqueCounter(),
+    jobIds: uniqueCounter(),
+    wabaMessageMap: {}, // Track messages per WABA
+    timeIntervals: {}, // Track operations by minute
+    processingTimes: [], // Track time between message send and storage (not kept in low-memory mode)
+    messagesToStore: {}, // Track messages waiting to be stored
+    pendingByMsgId: {}, // msg_id -> wamid for messages waiting to be stored
+    unmatchedStores: [], // Store lines with no pending message to pair with
+    statusCounts: {}, // Callbacks received per WhatsApp status
+    wamidStates: {}, // Status lifecycle per wamid
+    failureReasons: {}, // Failed statuses grouped by Meta error code
+    ruleMatches: {}, // Lines matched per log-pattern rule
+    customCounters: {}, // Counters defined by rules outside the built-in ones
+    countersByWaba: {}, // Rule counters split by extracted WABA number
+    timingStarts: {}, // Pending timing pair starts by timing name and key
+    timings: {}, // Completed timing pair durations by timing name
+    unmatchedTimingEnds: [], // Timing pair ends seen before (or without) their start
+    sources: {}, // Per input file breakdown
+    issueClusters: {}, // Errors and warnings grouped by normalized message template
+    loggers: {}, // Lines and levels per logger_name
+    threads: {}, // Lines and levels per thread_name
+    traces: {}, // Span, lines and levels per trace id
+    traceTimeline: [], // Every line of the trace asked for with --trace
+    dataQuality: { // Problem lines per data quality check, with a few samples each
+      counts: Object.fromEntries(Object.keys(dataQualityChecks).map(check => [check, 0])),
+      samples: Object.fromEntries(Object.keys(dataQualityChecks).map(check => [check, []]))
+    },
+    lowMemory: lowMemory && {
+      ...lowMemory,
+      lastSweepAt: null, // Log time of the last expiry sweep
+      processing: createDurations(true), // Processing times, overall and per WABA number
+      processingByWaba: {},
+      retired: createTally(true), // Messages expired from wamidStates, folded into totals
+      retiredGroups: {},
+      retiredRecipients: {},
+      recipientIds: createUniqueCounter(true),
+      retiredWamids: createBloomFilter(), // So a late callback does not count as a new message
+      repeatedStatuses: [],
+      repeatedStatusCount: 0,
+      orphans: [], // Messages expired before they were stored, a sample of them
+      retiredTraces: { count: 0, lines: 0, withErrors: 0, slowest: [], errored: [] }, // Idle traces, only the listed ones kept
+      expired: { messages: 0, pendingStores: 0, unmatchedStores: 0, timingStarts: 0, timingEnds: 0 },
+      lateCallbacks: 0
+    }
+  };
+}
+
+// Function to normalize filter options (strings, arrays or sets) into the internal shape
+function normalizeFilters(options = {}) {
+  const toDate = value => value ? new Date(value) : null;
+  const toSet = value => value ? new Set([].concat(value instanceof Set ? [...value] : value)) : null;
+
+  return {
+    since: toDate(options.since),
+    until: toDate(options.until),
+    wabaNumbers: toSet(options.wabaNumbers),
+    logger: options.logger ? (options.logger instanceof RegExp ? options.logger : new RegExp(options.logger, 'i')) : null,
+    levels: options.levels ? new Set([...toSet(options.levels)].map(level => level.toLowerCase())) : null
+  };
+}
+
+// Function to parse a duration like 10s, 5m, 1h, 1d or 1w into ms; --since and --until read relative ages with it too
+function parseDuration(value) {
+  const match = String(value).match(/^(\d+(?:\.\d+)?)([smhdw])$/);
+  if (!match || !Number(match[1])) {
+    throw new Error(`must be a duration like 10s, 5m, 1h or 1d (got ${value})`);
+  }
+  return Math.round(Number(match[1]) * { s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000 }[match[2]]);
+}
+
+// Function to format a duration in ms as e.g. 1h5m or 30s
+function formatDuration(ms) {
+  const parts = [];
+  let rest = Math.round(ms / 1000);
+  [['h', 3600], ['m', 60], ['s', 1]].forEach(([unit, seconds]) => {
+    if (rest >= seconds) {
+      parts.push(`${Math.floor(rest / seconds)}${unit}`);
+      rest %= seconds;
+    }
+  });
+  return parts.join('') || '0s';
+}
+
+// Function to set up throughput bucketing; throws a RangeError for an unknown timezone
+function createBucketing(size = defaultBucket, timeZone = 'UTC') {
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone === 'local' ? undefined : timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+
+  return {
+    size,
+    ms: parseDuration(size),
+    timeZone: formatter.resolvedOptions().timeZone,
+    formatter,
+    offsets: new Map() // Timezone offset by UTC hour
+  };
+}
+
+// Function to get the bucketing timezone's offset from UTC (ms) at a time
+function timeZoneOffset(bucketing, time) {
+  if (bucketing.timeZone === 'UTC') return 0;
+
+  const hour = Math.floor(time / 3600000);
+  if (!bucketing.offsets.has(hour)) {
+    const parts = Object.fromEntries(bucketing.formatter.formatToParts(new Date(hour * 3600000)).map(part => [part.type, part.value]));
+    const wallTime = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    bucketing.offsets.set(hour, wallTime - hour * 3600000);
+  }
+  return bucketing.offsets.get(hour);
+}
+
+// Function to find the bucket of a time: its start (epoch ms) and its key in the timezone's wall time
+function bucketFor(bucketing, time) {
+  const offset = timeZoneOffset(bucketing, time);
+  const wallStart = Math.floor((time + offset) / bucketing.ms) * bucketing.ms;
+  const iso = new Date(wallStart).toISOString();
+
+  return {
+    key: bucketing.ms % 60000 ? iso.substring(0, 19) : iso.substring(0, 16), // YYYY-MM-DDTHH:MM[:SS]
+    start: wallStart - offset
+  };
+}
+
+// Function to write reports for the selected formats
+function writeReports(finalMetrics, options) {
+  const { formats, outputDir, outputFiles = {}, onInfo = () => {} } = options;
+  const selected = [...new Set(formats.flatMap(format => format === 'all' ? defaultFormats : [format]))];
+  // Per-message timelines (options.messageDetails, a function) are built once, only for reporters that use them
+  let messageDetails = null;
+  const detailsFor = reporter => {
+    if (!reporter.messageDetails) return undefined;
+    messageDetails = messageDetails || (options.messageDetails ? options.messageDetails() : []);
+    return messageDetails;
+  };
+
+  selected.forEach(format => {
+    const reporter = (options.reporters || reporters)[format];
+    if (!reporter) {
+      throw new Error(`Unknown report format: ${format}`);
+    }
+
+    // outputFiles names a file for any format, including those that otherwise print
+    const output = reporter.render(finalMetrics, detailsFor(reporter));
+    const outputFile = outputFiles[format] || (reporter.fileName ? path.join(outputDir, reporter.fileName) : null);
+    if (!outputFile) {
+      console.log(output);
+      return;
     }
 
-    // Calculate derived metrics
-    const calculateMetrics = () => {
-      if (!metrics.startTime || !metrics.endTime) {
-        console.error('No valid timestamps found in log.');
-        process.exit(1);
+    const extension = path.extname(outputFile);
+    const tables = typeof output === 'string' ? { '': output } : output;
+    Object.entries(tables).forEach(([table, content]) => {
+      const file = table ? path.join(path.dirname(outputFile), `${path.basename(outputFile, extension)}-${table}${extension}`) : outputFile;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, content);
+      onInfo(`${reporter.savedMessage || `${format} report saved to`}: ${file}`);
+    });
+  });
+}
+
+// Function to parse command line arguments into the CLI configuration
+function parseCli(argv) {
+  let cli;
+  try {
+    cli = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', multiple: true, default: ['all'] },
+        'output-dir': { type: 'string' },
+        'output-file': { type: 'string', multiple: true },
+        rules: { type: 'string' },
+        since: { type: 'string' },
+        until: { type: 'string' },
+        waba: { type: 'string', multiple: true },
+        logger: { type: 'string' },
+        level: { type: 'string', multiple: true },
+        bucket: { type: 'string', default: defaultBucket },
+        timezone: { type: 'string', default: 'UTC' },
+        'idle-gap': { type: 'string', default: defaultIdleGap },
+        'recipient-limit': { type: 'string' },
+        'show-recipients': { type: 'boolean', default: false },
+        'group-by': { type: 'string', multiple: true },
+        'input-format': { type: 'string', default: 'auto' },
+        'field-map': { type: 'string', multiple: true },
+        'text-pattern': { type: 'string', default: defaultTextPattern },
+        'low-memory': { type: 'boolean', default: false },
+        'pending-ttl': { type: 'string', default: defaultPendingTtl },
+        'sample-size': { type: 'string', default: String(defaultSampleSize) },
+        workers: { type: 'string', default: '1' },
+        trace: { type: 'string' },
+        'history-dir': { type: 'string' },
+        strict: { type: 'boolean', default: false },
+        'strict-threshold': { type: 'string', default: '0' },
+        follow: { type: 'boolean', default: false },
+        refresh: { type: 'string', default: '5' },
+        quiet: { type: 'boolean', default: false },
+        port: { type: 'string', default: '9464' },
+        host: { type: 'string', default: '127.0.0.1' },
+        threshold: { type: 'string', multiple: true },
+        assert: { type: 'string', multiple: true },
+        'alert-rules': { type: 'string' },
+        'alert-webhook': { type: 'string' },
+        'alert-file': { type: 'string' },
+        wamid: { type: 'string', multiple: true },
+        'msg-id': { type: 'string', multiple: true },
+        cluster: { type: 'string', multiple: true },
+        redact: { type: 'string', multiple: true },
+        'redact-map': { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
       }
+    });
+  } catch (err) {
+    usageError(err.message);
+  }
 
-      const durationMs = metrics.endTime - metrics.startTime;
-      const durationSeconds = durationMs / 1000;
+  if (cli.values.help) {
+    console.log(usage);
+    process.exit(0);
+  }
 
-      // Calculate message processing times
-      let totalProcessingTime = 0;
-      let minProcessingTime = Number.MAX_SAFE_INTEGER;
-      let maxProcessingTime = 0;
+  const command = ['serve', 'compare', 'history', 'extract'].includes(cli.positionals[0]) ? cli.positionals[0] : 'analyze';
+  const baselineFile = command === 'compare' ? cli.positionals[1] : null;
+  const inputArgs = cli.positionals.slice({ analyze: 0, serve: 1, compare: 2, history: 1, extract: 1 }[command]);
+  if (command === 'compare' && !baselineFile) {
+    usageError('compare needs a baseline log-metrics.json');
+  }
+  if (command === 'history' && inputArgs.length) {
+    usageError('history reads recorded runs from --history-dir and takes no log files');
+  }
+  if (!inputArgs.length && command !== 'history') {
+    usageError(command === 'compare' ? 'compare needs a current log-metrics.json or log file' : 'No log file given');
+  }
 
-      metrics.processingTimes.forEach(item => {
-        totalProcessingTime += item.processingTimeMs;
-        minProcessingTime = Math.min(minProcessingTime, item.processingTimeMs);
-        maxProcessingTime = Math.max(maxProcessingTime, item.processingTimeMs);
-      });
+  const config = {
+    command,
+    baselineFile,
+    outputFormats: [...new Set(cli.values.output.flatMap(value => value.split(',')).map(format => format.trim().toLowerCase()))],
+    outputFiles: {},
+    rulesFile: cli.values.rules || null,
+    follow: cli.values.follow,
+    quiet: cli.values.quiet,
+    refreshSeconds: Number(cli.values.refresh),
+    port: Number(cli.values.port),
+    host: cli.values.host,
+    bucket: cli.values.bucket,
+    timezone: cli.values.timezone,
+    idleGap: cli.values['idle-gap'],
+    recipientLimit: cli.values['recipient-limit'] !== undefined ? Number(cli.values['recipient-limit']) : null,
+    showRecipients: cli.values['show-recipients'],
+    groupBy: (cli.values['group-by'] || []).map(field => {
+      const match = field.match(/^bizData\.(.+)$/);
+      if (!match) usageError(`--group-by expects bizData.<field>, got "${field}"`);
+      return match[1];
+    }),
+    inputFormat: cli.values['input-format'],
+    fieldMap: parseFieldMap(cli.values['field-map'] || []),
+    textPattern: cli.values['text-pattern'],
+    lowMemory: cli.values['low-memory'],
+    pendingTtl: cli.values['pending-ttl'],
+    sampleSize: Number(cli.values['sample-size']),
+    workers: Number(cli.values.workers),
+    traceId: cli.values.trace || null,
+    historyDir: cli.values['history-dir'] || (command === 'history' ? defaultHistoryDir : null),
+    strict: cli.values.strict,
+    strictThreshold: parseStrictThreshold(cli.values['strict-threshold']),
+    alertWebhook: cli.values['alert-webhook'] || null,
+    alertFile: cli.values['alert-file'] || null,
+    wamids: cli.values.wamid || [],
+    msgIds: cli.values['msg-id'] || [],
+    clusters: cli.values.cluster || [],
+    redact: (cli.values.redact || defaultRedaction).flatMap(value => value.split(',')).map(item => item.trim()).filter(Boolean),
+    redactMap: cli.values['redact-map'] || null
+  };
 
-      const avgProcessingTime = metrics.processingTimes.length > 0 ?
-        totalProcessingTime / metrics.processingTimes.length : 0;
+  // compare and history only have the original report formats, and print rather than save their console table;
+  // extract writes its one file
+  const summarizesRuns = command === 'compare' || command === 'history';
+  const formats = command === 'extract' ? ['extract', 'all'] : summarizesRuns ? [...defaultFormats, 'all'] : [...Object.keys(reporters), 'all'];
+  const unknownFormats = config.outputFormats.filter(format => !formats.includes(format));
+  if (unknownFormats.length) {
+    usageError(`--output must be one of ${formats.join(', ')}${summarizesRuns || command === 'extract' ? ` for ${command}` : ''} (got ${unknownFormats.join(', ')})`);
+  }
 
-      // Sort time intervals for trend analysis
-      const sortedIntervals = Object.keys(metrics.timeIntervals).sort();
+  const fileFormats = formats.filter(format => format !== 'all' && !(summarizesRuns && format === 'console'));
+  (cli.values['output-file'] || []).forEach(value => {
+    const [format, file] = value.split(/=(.*)/);
+    if (!fileFormats.includes(format) || !file) {
+      usageError(`--output-file expects <format>=<path> with a format from ${fileFormats.join(', ')} (got ${value})`);
+    }
+    config.outputFiles[format] = file;
+  });
 
-      // Calculate peak throughput
-      let peakMessages = 0;
-      let peakInterval = '';
-      sortedIntervals.forEach(interval => {
-        if (metrics.timeIntervals[interval].messages > peakMessages) {
-          peakMessages = metrics.timeIntervals[interval].messages;
-          peakInterval = interval;
-        }
-      });
+  if (config.lowMemory && config.outputFormats.includes('ndjson')) {
+    usageError('--output ndjson needs the per-message timelines that --low-memory does not keep');
+  }
 
-      // Message success rate (no store operations in sample, so assuming 0 for now)
-      const successRate = metrics.messagesSent > 0 ?
-        (metrics.storeOperations / metrics.messagesSent) * 100 : 0;
+  if (!(config.refreshSeconds > 0)) {
+    usageError('--refresh must be a positive number of seconds');
+  }
 
-      return {
-        startTime: metrics.startTime.toISOString(),
-        endTime: metrics.endTime.toISOString(),
-        duration: {
-          milliseconds: durationMs,
-          seconds: durationSeconds.toFixed(2),
-          minutes: (durationSeconds / 60).toFixed(2)
-        },
-        messages: {
-          total: metrics.messagesSent,
-          perSecond: (metrics.messagesSent / durationSeconds).toFixed(2),
-          successRate: successRate.toFixed(2) + '%'
-        },
-        jobs: {
-          total: metrics.completedJobs,
-          unique: metrics.jobIds.size,
-          perSecond: (metrics.completedJobs / durationSeconds).toFixed(2)
-        },
-        wabaNumbers: {
-          list: Array.from(metrics.uniqueWabaNumbers),
-          count: metrics.uniqueWabaNumbers.size,
-          messageDistribution: Object.fromEntries(
-            Object.entries(metrics.wabaMessageMap).map(([wabaNumber, data]) => [
-              wabaNumber,
-              {
-                messages: data.count,
-                uniqueMessageIds: data.messageIds.size,
-                uniqueWamids: data.wamids.size,
-                percentOfTotal: metrics.messagesSent > 0 ?
-                  ((data.count / metrics.messagesSent) * 100).toFixed(2) + '%' : '0%'
-              }
-            ])
-          )
-        },
-        cacheMetrics: {
-          hits: metrics.cacheHits,
-          hitsPerWabaNumber: metrics.uniqueWabaNumbers.size > 0 ?
-            (metrics.cacheHits / metrics.uniqueWabaNumbers.size).toFixed(2) : '0'
-        },
-        storeOperations: metrics.storeOperations,
-        messageIds: {
-          unique: metrics.messageIds.size,
-          ratio: metrics.messagesSent > 0 ?
-            (metrics.messageIds.size / metrics.messagesSent).toFixed(4) : '0'
-        },
-        wamids: {
-          unique: metrics.wamids.size,
-          ratio: metrics.messagesSent > 0 ?
-            (metrics.wamids.size / metrics.messagesSent).toFixed(4) : '0'
-        },
-        processing: {
-          avgTimeMs: avgProcessingTime.toFixed(2),
-          minTimeMs: metrics.processingTimes.length ? minProcessingTime : 'N/A',
-          maxTimeMs: metrics.processingTimes.length ? maxProcessingTime : 'N/A',
-          measuredMessages: metrics.processingTimes.length
-        },
-        throughput: {
-          peakMessagesPerMinute: peakMessages,
-          peakInterval: peakInterval,
-          intervals: sortedIntervals.map(interval => ({
-            timeWindow: interval,
-            messages: metrics.timeIntervals[interval].messages,
-            cacheHits: metrics.timeIntervals[interval].cacheHits,
-            jobs: metrics.timeIntervals[interval].jobs,
-            stores: metrics.timeIntervals[interval].stores
-          }))
-        },
-        logLevels: metrics.logLevels,
-        errors: metrics.errors,
-        warnings: metrics.warnings
-      };
-    };
+  if (!Number.isInteger(config.port) || config.port < 0 || config.port > 65535) {
+    usageError('--port must be a port number between 0 and 65535');
+  }
+
+  try {
+    createBucketing(config.bucket, config.timezone);
+  } catch (err) {
+    usageError(err instanceof RangeError ? `--timezone is not a known timezone: ${config.timezone}` : `--bucket ${err.message}`);
+  }
+
+  try {
+    parseDuration(config.idleGap);
+  } catch (err) {
+    usageError(`--idle-gap ${err.message}`);
+  }
+
+  if (!inputFormats.includes(config.inputFormat)) {
+    usageError(`--input-format must be one of ${inputFormats.join(', ')}`);
+  }
+
+  try {
+    compileTextPattern(config.textPattern);
+  } catch (err) {
+    usageError(`--text-pattern ${err.message}`);
+  }
+
+  if (config.recipientLimit !== null && !(Number.isInteger(config.recipientLimit) && config.recipientLimit > 0)) {
+    usageError('--recipient-limit must be a positive whole number of messages');
+  }
+
+  try {
+    parseDuration(config.pendingTtl);
+  } catch (err) {
+    usageError(`--pending-ttl ${err.message}`);
+  }
+
+  if (!(Number.isInteger(config.sampleSize) && config.sampleSize > 0)) {
+    usageError('--sample-size must be a positive whole number');
+  }
+
+  if (!Number.isInteger(config.workers) || config.workers < 1) {
+    usageError('--workers must be a positive whole number');
+  }
+
+  const unknownRedactions = config.redact.filter(item => !redactItems.includes(item) && item !== 'none' && !/^biz\..+/.test(item));
+  if (unknownRedactions.length) {
+    usageError(`--redact items are ${redactItems.join(', ')}, biz.<field> or none (got ${unknownRedactions.join(', ')})`);
+  }
+
+  // Filters are applied to each line before it reaches any metric
+  config.filters = {
+    since: cli.values.since ? parseTimeArg('--since', cli.values.since) : null,
+    until: cli.values.until ? parseTimeArg('--until', cli.values.until) : null,
+    wabaNumbers: cli.values.waba || null,
+    logger: null,
+    levels: null
+  };
+
+  if (config.filters.since && config.filters.until && config.filters.since >= config.filters.until) {
+    usageError('--since must be earlier than --until');
+  }
+
+  if (cli.values.logger) {
+    try {
+      config.filters.logger = new RegExp(cli.values.logger, 'i');
+    } catch (err) {
+      usageError(`--logger is not a valid pattern: ${err.message}`);
+    }
+  }
+
+  if (cli.values.level) {
+    config.filters.levels = [...new Set(cli.values.level.flatMap(value => value.split(',')).map(level => level.trim().toLowerCase()))];
+    const unknownLevels = config.filters.levels.filter(level => !logLevels.includes(level));
+    if (unknownLevels.length) {
+      usageError(`--level must be one of ${logLevels.join(', ')} (got ${unknownLevels.join(', ')})`);
+    }
+  }
+
+  // Comparison thresholds in percent change (wabaShare in percentage points)
+  config.thresholds = { default: 20, wabaShare: 10 };
+  (cli.values.threshold || []).forEach(value => {
+    const [name, amount] = value.includes('=') ? value.split('=') : ['default', value];
+    if (!(Number(amount) >= 0)) {
+      usageError(`--threshold must be a non-negative number (got ${value})`);
+    }
+    if (name !== 'default' && name !== 'wabaShare' && !comparedMetrics.some(metric => metric.name === name)) {
+      usageError(`--threshold names one of ${comparedMetrics.map(metric => metric.name).join(', ')}, wabaShare (got ${name})`);
+    }
+    config.thresholds[name] = Number(amount);
+  });
+
+  try {
+    const configured = cli.values['alert-rules'] ? loadRules(cli.values['alert-rules']) : [];
+    if (!Array.isArray(configured)) {
+      throw new Error('alert rules must be an array');
+    }
+    config.alertRules = [...(cli.values.assert || []), ...configured].map(compileAlertRule);
+  } catch (err) {
+    usageError(`Invalid alert rule: ${err.message}`);
+  }
+
+  if (config.alertWebhook && !/^https?:\/\//.test(config.alertWebhook)) {
+    usageError('--alert-webhook must be an http(s) URL');
+  }
+
+  // History reads its own store and writes its reports there unless --output-dir is set
+  if (command === 'history') {
+    config.logFiles = [];
+    config.outputDir = cli.values['output-dir'] || config.historyDir;
+    return config;
+  }
+
+  try {
+    config.logFiles = resolveInputs(inputArgs, Object.values(config.outputFiles));
+  } catch (err) {
+    usageError(err.message);
+  }
+
+  if (config.follow && (config.logFiles.length !== 1 || config.logFiles[0] === '-')) {
+    usageError('--follow needs exactly one log file');
+  }
+  if (config.traceId && (!['analyze', 'extract'].includes(command) || config.follow)) {
+    usageError('--trace prints one request from finished logs and cannot be combined with serve, compare or --follow');
+  }
+  if (command !== 'extract' && (config.wamids.length || config.msgIds.length || config.clusters.length || cli.values.redact || config.redactMap)) {
+    usageError('--wamid, --msg-id, --cluster, --redact and --redact-map only apply to extract');
+  }
+  if (command === 'extract' && (config.follow || config.workers > 1)) {
+    usageError('extract writes lines in input order and cannot be combined with --follow or --workers');
+  }
+  if (config.follow && config.workers > 1) {
+    usageError('--workers cannot be combined with --follow, which reads the file as it grows');
+  }
+
+  // Reports go next to the first log file (or the working directory for stdin) unless --output-dir is set
+  config.logFile = config.logFiles[0];
+  config.outputDir = cli.values['output-dir'] || (config.logFile === '-' ? process.cwd() : path.dirname(config.logFile));
+
+  return config;
+}
+
+// Function to run the command line interface
+async function main(argv) {
+  const config = parseCli(argv);
+
+  if (config.command === 'history') {
+    try {
+      runHistory(config);
+    } catch (err) {
+      console.error('Error reading run history:', err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (config.command === 'extract') {
+    try {
+      await runExtract(config);
+    } catch (err) {
+      console.error('Error extracting log lines:', err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  let analyzer;
+  try {
+    analyzer = createAnalyzer({
+      ...analyzerOptions(config),
+      rules: config.rulesFile ? loadRules(config.rulesFile) : defaultRules,
+      onWarning: message => logWarning(config, message)
+    });
+  } catch (err) {
+    console.error(`Invalid rules: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (config.command === 'compare') {
+    try {
+      await runCompare(config, analyzer);
+    } catch (err) {
+      console.error('Error comparing runs:', err);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (config.follow && config.command !== 'serve') {
+    startFollowMode(config, analyzer);
+    return;
+  }
+
+  try {
+    if (config.command === 'serve') {
+      // When following, serve right away and let the metrics fill in as lines arrive
+      if (config.follow) {
+        followLog(config.logFile, line => analyzer.ingest(line, config.logFile), () => analyzer.flush());
+      } else {
+        await readLogFiles(analyzer, config.logFiles, parallelOptions(config));
+      }
+      startServer(config, analyzer);
+      return;
+    }
+
+    await readLogFiles(analyzer, config.logFiles, parallelOptions(config));
+    requireData(config, analyzer);
 
     // Generate final metrics
-    const finalMetrics = calculateMetrics();
+    const finalMetrics = analyzer.finalize();
+    if (config.traceId) {
+      printTrace(finalMetrics.traces);
+      return;
+    }
+    writeReports(finalMetrics, { formats: config.outputFormats, outputDir: config.outputDir, outputFiles: config.outputFiles, onInfo: message => logInfo(config, message),
+      messageDetails: () => analyzer.messageDetails() });
+    recordHistory(config, finalMetrics);
+    const alertCode = config.alertRules.length ? await runAlerts(config, finalMetrics) : 0;
+    process.exitCode = Math.max(alertCode, checkDataQuality(config, finalMetrics));
+  } catch (err) {
+    console.error('Error processing log file:', err);
+    process.exit(1);
+  }
+}
+
+// Function to pick the analyzer options of the CLI configuration; rules and callbacks are added by the
+// caller, since worker threads only receive what can be copied to them
+function analyzerOptions(config) {
+  return {
+    filters: config.filters,
+    bucket: config.bucket,
+    timezone: config.timezone,
+    idleGap: config.idleGap,
+    recipientLimit: config.recipientLimit,
+    showRecipients: config.showRecipients,
+    groupBy: config.groupBy,
+    inputFormat: config.inputFormat,
+    fieldMap: config.fieldMap,
+    textPattern: config.textPattern,
+    lowMemory: config.lowMemory,
+    pendingTtl: config.pendingTtl,
+    sampleSize: config.sampleSize,
+    traceId: config.traceId
+  };
+}
+
+// Function to describe how readLogFiles may use worker threads, or null to read in this thread
+function parallelOptions(config) {
+  if (config.workers <= 1) return null;
+  return {
+    workers: config.workers,
+    rulesFile: config.rulesFile,
+    options: analyzerOptions(config),
+    quiet: config.quiet,
+    onInfo: message => logInfo(config, message),
+    onWarning: message => logWarning(config, message)
+  };
+}
+
+// Function to report a command line problem and exit
+function usageError(message) {
+  console.error(`Error: ${message}`);
+  console.error('Run ./log-metrics.js --help for usage.');
+  process.exit(1);
+}
 
-    // Output based on format
-    if (outputFormat === 'json' || outputFormat === 'all') {
-      const outputFile = path.join(path.dirname(logFile), 'log-metrics.json');
-      fs.writeFileSync(outputFile, JSON.stringify(finalMetrics, null, 2));
-      console.log(`JSON metrics saved to: ${outputFile}`);
+// Function to print progress messages unless --quiet
+function logInfo(config, message) {
+  if (!config.quiet) console.log(message);
+}
+
+// Function to print per-line problems unless --quiet
+function logWarning(config, message) {
+  if (!config.quiet) console.error(message);
+}
+
+// Function to parse --strict-threshold as an issue count or a percentage of lines
+function parseStrictThreshold(value) {
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)(%?)$/);
+  if (!match) usageError(`--strict-threshold must be a count or a percentage like 1%, got "${value}"`);
+  return match[2] ? { percent: Number(match[1]) } : { count: Number(match[1]) };
+}
+
+// Function to fail the run under --strict when data quality issues exceed the threshold
+function checkDataQuality(config, finalMetrics) {
+  if (!config.strict) return 0;
+
+  const { issues, totalLines, issueRate } = finalMetrics.dataQuality;
+  const { percent, count } = config.strictThreshold;
+  const exceeded = percent !== undefined ? (totalLines > 0 && (issues / totalLines) * 100 > percent) : issues > count;
+  if (!exceeded) return 0;
+
+  console.error(`Data quality check failed: ${issues} issues in ${totalLines} lines (${issueRate}), above --strict-threshold ${percent !== undefined ? percent + '%' : count}`);
+  return strictExitCode;
+}
+
+// Function to parse --field-map entries (field=path, comma separated or repeated) into a field map
+function parseFieldMap(entries) {
+  const fieldMap = {};
+  entries.flatMap(entry => entry.split(',')).filter(Boolean).forEach(entry => {
+    const [field, fieldPath] = entry.split('=').map(part => part.trim());
+    if ((!jsonFieldMaps.logback[field] && field !== 'trace') || !fieldPath) {
+      usageError(`--field-map expects field=path with field one of ${[...Object.keys(jsonFieldMaps.logback), 'trace'].join(', ')}, got "${entry}"`);
+    }
+    fieldMap[field] = fieldPath;
+  });
+  return fieldMap;
+}
+
+// Function to parse --since/--until as an ISO time or a relative age like 2h
+function parseTimeArg(flag, value) {
+  let time = new Date(value);
+  if (/^[\d.]+[a-z]$/.test(value)) {
+    try {
+      time = new Date(Date.now() - parseDuration(value));
+    } catch (err) {
+      // Reported below with the ISO form
     }
+  }
+
+  if (isNaN(time)) {
+    usageError(`${flag} must be an ISO time or a relative age like 30m, 2h or 1d (got ${value})`);
+  }
+  return time;
+}
+
+// Function to check whether any filter is active
+function hasFilters(filters) {
+  return Object.values(filters).some(Boolean);
+}
+
+// Function to check a line against the time, level and logger filters
+function matchesFilters(filters, logTime, levelLower, loggerName) {
+  if (filters.since && !(logTime >= filters.since)) return false;
+  if (filters.until && !(logTime < filters.until)) return false;
+  if (filters.levels && !filters.levels.has(levelLower)) return false;
+  if (filters.logger && !filters.logger.test(loggerName || '')) return false;
+  return true;
+}
+
+// Function to check rule fields against the WABA filter
+function matchesWabaFilter(analyzer, fields) {
+  const { filters, metrics } = analyzer;
+  if (!filters.wabaNumbers) return true;
+  if (fields.wabaNumber) return filters.wabaNumbers.has(fields.wabaNumber);
+
+  // Messages of other WABA numbers are never tracked, so an unknown id belongs to one of them
+  if (fields.wamid) return Boolean(metrics.wamidStates[fields.wamid]);
+  if (fields.msgId) return Boolean(metrics.pendingByMsgId[fields.msgId]);
+  return true;
+}
 
-    if (outputFormat === 'console' || outputFormat === 'all') {
-      console.log('Log Metrics Summary:');
-      console.log(`Duration: ${finalMetrics.duration.seconds}s (${finalMetrics.duration.minutes} min)`);
-      console.log(`Messages: ${finalMetrics.messages.total} (${finalMetrics.messages.perSecond}/sec)`);
-      console.log(`Success Rate: ${finalMetrics.messages.successRate}`);
-      console.log(`Unique WABA Numbers: ${finalMetrics.wabaNumbers.count}`);
-      console.log(`Cache Hits: ${finalMetrics.cacheMetrics.hits}`);
-      console.log(`Completed Jobs: ${finalMetrics.jobs.total}`);
-      console.log(`Average Processing Time: ${finalMetrics.processing.avgTimeMs}ms`);
-      console.log(`Peak Throughput: ${finalMetrics.throughput.peakMessagesPerMinute} messages/min at ${finalMetrics.throughput.peakInterval}`);
+// Function to describe the active filters for the reports
+function describeFilters(filters) {
+  const active = {};
+  if (filters.since) active.since = filters.since.toISOString();
+  if (filters.until) active.until = filters.until.toISOString();
+  if (filters.wabaNumbers) active.wabaNumbers = [...filters.wabaNumbers];
+  if (filters.logger) active.logger = filters.logger.source;
+  if (filters.levels) active.levels = [...filters.levels];
+  return active;
+}
+
+// Function to format described filters as a single line
+function formatFilters(active) {
+  const parts = [];
+  if (active.since) parts.push(`since ${active.since}`);
+  if (active.until) parts.push(`until ${active.until}`);
+  if (active.wabaNumbers) parts.push(`WABA ${active.wabaNumbers.join(', ')} (message and WABA figures; log lines, levels, errors and warnings cover all numbers)`);
+  if (active.logger) parts.push(`logger /${active.logger}/i`);
+  if (active.levels) parts.push(`level ${active.levels.join(', ')}`);
+  return parts.length ? parts.join('; ') : 'none';
+}
+
+// Function to label a line-level figure of a --waba report as covering every WABA number
+function wabaScopeNote(finalMetrics) {
+  return finalMetrics.unfilteredByWaba && finalMetrics.unfilteredByWaba.length ? ' (all WABA numbers)' : '';
+}
+
+// Function to read every input once, merging them into the same analyzer (parallel: see parallelOptions)
+async function readLogFiles(analyzer, files, parallel = null) {
+  if (parallel) return readLogFilesInParallel(analyzer, files, parallel);
+  for (const file of files) {
+    await analyzer.ingestStream(openLogStream(file), file);
+  }
+}
 
-      if (finalMetrics.errors.length) {
-        console.log(`\nErrors detected: ${finalMetrics.errors.length}`);
+// Function to read the inputs with worker threads: plain JSON-lines files are split into line-aligned
+// byte ranges parsed side by side and merged back in order; other inputs are read here as usual
+async function readLogFilesInParallel(analyzer, files, parallel) {
+  const { workers, options } = parallel;
+  const plans = files.map(file => ({ file, ranges: splitIntoRanges(file, workers, options) }));
+  const progress = createProgress(parallel, plans.reduce((sum, plan) => sum + (plan.ranges ? plan.ranges[plan.ranges.length - 1].end : 0), 0));
+  const pool = [];
+
+  try {
+    for (const { file, ranges } of plans) {
+      if (!ranges) {
+        parallel.onInfo(`Reading ${file === '-' ? 'stdin' : file} without workers: compressed, streamed and multi-line inputs cannot be split`);
+        await analyzer.ingestStream(openLogStream(file), file);
+        continue;
+      }
+
+      while (pool.length < ranges.length) {
+        pool.push(new Worker(__filename));
+      }
+
+      // Each range first counts its lines, so line numbers in warnings and samples match a single pass
+      const lineCounts = await Promise.all(ranges.map((range, index) => runWorkerTask(pool[index], { type: 'count', file, ...range })));
+      let lineNumber = 0;
+      const shards = ranges.map((range, index) => {
+        const task = { type: 'parse', file, ...range, lineNumber, options, rulesFile: parallel.rulesFile, quiet: parallel.quiet };
+        lineNumber += lineCounts[index];
+        return runWorkerTask(pool[index], task, message => {
+          if (message.type === 'progress') progress.add(message.bytes, message.lines);
+          if (message.type === 'warning') parallel.onWarning(message.message);
+        });
+      });
+
+      // Merged in file order as each shard arrives, so earlier shards can be let go
+      for (const shard of shards) {
+        analyzer.merge({ metrics: await shard });
+      }
+    }
+  } finally {
+    await Promise.all(pool.map(worker => worker.terminate()));
+  }
+  progress.done(workers);
+}
+
+// Function to split a plain log file into up to parts byte ranges that start on a line, or null when it
+// has to be read in one go (stdin, gzip, or formats whose records can span lines)
+function splitIntoRanges(file, parts, options) {
+  if (file === '-' || isGzipFile(file)) return null;
+  const size = fs.statSync(file).size;
+  const fd = fs.openSync(file, 'r');
+
+  try {
+    const buffer = Buffer.alloc(64 * 1024);
+    const format = options.inputFormat && options.inputFormat !== 'auto' ? options.inputFormat : detectFileFormat(fd, buffer, options);
+    if (!['logback', 'ecs', 'pino'].includes(format)) return null;
+
+    const count = Math.max(1, Math.min(parts, Math.floor(size / workerMinChunkBytes)));
+    const starts = [0];
+    for (let part = 1; part < count; part++) {
+      // Move each cut to just after the next line break
+      let position = Math.max(Math.floor((size * part) / count), starts[starts.length - 1]);
+      let cut = -1;
+      while (cut === -1 && position < size) {
+        const read = fs.readSync(fd, buffer, 0, buffer.length, position);
+        const index = buffer.subarray(0, read).indexOf(10);
+        if (index !== -1) cut = position + index + 1;
+        position += read;
+      }
+      if (cut > starts[starts.length - 1] && cut < size) starts.push(cut);
+    }
+
+    return starts.map((start, index) => ({ start, end: index + 1 < starts.length ? starts[index + 1] : size, format }));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Function to detect a file's format from its first lines, as the analyzer would
+function detectFileFormat(fd, buffer, options) {
+  const read = fs.readSync(fd, buffer, 0, buffer.length, 0);
+  const detector = { textPattern: compileTextPattern(options.textPattern || defaultTextPattern) };
+  const lines = buffer.subarray(0, read).toString('utf8').split(/\r?\n/);
+  // The last piece may be cut off by the buffer
+  for (const line of read === buffer.length ? lines.slice(0, -1) : lines) {
+    const format = detectInputFormat(detector, line);
+    if (format) return format;
+  }
+  return null;
+}
+
+// Function to send a worker one task, resolving with its result and passing other messages to onMessage
+function runWorkerTask(worker, task, onMessage = () => {}) {
+  return new Promise((resolve, reject) => {
+    const cleanUp = () => {
+      worker.off('message', handleMessage);
+      worker.off('error', handleError);
+    };
+    const handleMessage = message => {
+      if (message.type === 'done') {
+        cleanUp();
+        resolve(message.result);
+      } else {
+        onMessage(message);
+      }
+    };
+    const handleError = err => {
+      cleanUp();
+      reject(err);
+    };
+    worker.on('message', handleMessage);
+    worker.on('error', handleError);
+    worker.postMessage(task);
+  });
+}
+
+// Function to run tasks posted to a worker thread: count the lines of a byte range, or parse it
+function runWorker() {
+  parentPort.on('message', async task => {
+    try {
+      const result = task.type === 'count' ? await countLines(task.file, task.start, task.end) : await parseRange(task);
+      parentPort.postMessage({ type: 'done', result });
+    } catch (err) {
+      // Rethrown outside the handler so the main thread gets an error event
+      setImmediate(() => { throw err; });
+    }
+  });
+}
+
+// Function to count the lines in a byte range the way readline splits them
+function countLines(file, start, end) {
+  return new Promise((resolve, reject) => {
+    let lines = 0;
+    let lastByte = 10;
+    fs.createReadStream(file, { start, end: end - 1 })
+      .on('data', chunk => {
+        for (let index = chunk.indexOf(10); index !== -1; index = chunk.indexOf(10, index + 1)) lines++;
+        lastByte = chunk[chunk.length - 1];
+      })
+      .on('error', reject)
+      .on('end', () => resolve(lines + (lastByte === 10 ? 0 : 1)));
+  });
+}
+
+// Function to parse one byte range of a file into metrics, reporting progress as it goes
+async function parseRange(task) {
+  const { file, start, end, lineNumber, format, options } = task;
+  const shardOptions = { ...options, inputFormat: format };
+  const analyzer = createAnalyzer({
+    ...shardOptions,
+    rules: task.rulesFile ? loadRules(task.rulesFile) : defaultRules,
+    onWarning: task.quiet ? () => {} : message => parentPort.postMessage({ type: 'warning', message })
+  });
+  analyzer.resumeSource(file, { lineNumber, lastTime: start ? lastTimeBefore(file, start, shardOptions) : null });
+
+  const stream = fs.createReadStream(file, { start, end: end - 1 });
+  let bytes = 0;
+  let lines = 0;
+  stream.on('data', chunk => { bytes += chunk.length; });
+  const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  for await (const line of rl) {
+    analyzer.ingest(line, file);
+    if (++lines % 10000 === 0) {
+      parentPort.postMessage({ type: 'progress', bytes, lines: 10000 });
+      bytes = 0;
+    }
+  }
+  analyzer.flush();
+  parentPort.postMessage({ type: 'progress', bytes, lines: lines % 10000 });
+  return analyzer.metrics;
+}
+
+// Function to find the time of the last timestamped entry just before a byte offset, so the range
+// after it can spot a timestamp going backwards across the cut (looks back up to 64 KB)
+function lastTimeBefore(file, offset, options) {
+  const from = Math.max(0, offset - 64 * 1024);
+  const buffer = Buffer.alloc(offset - from);
+  const fd = fs.openSync(file, 'r');
+  try {
+    fs.readSync(fd, buffer, 0, buffer.length, from);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // The text ends with the line break before the offset; the first piece may be cut off
+  const lines = buffer.toString('utf8').split('\n').slice(from ? 1 : 0, -1).reverse();
+  const probe = createAnalyzer({ ...options, filters: {}, rules: [], lowMemory: false });
+  for (const line of lines) {
+    probe.ingest(line.replace(/\r$/, ''), file);
+    if (probe.metrics.endTime) return probe.metrics.endTime.getTime();
+  }
+  return null;
+}
+
+// Function to track bytes and lines read by the workers, redrawing a progress line on a terminal
+function createProgress(parallel, totalBytes) {
+  const startedAt = Date.now();
+  const totals = { bytes: 0, lines: 0 };
+  const live = !parallel.quiet && process.stderr.isTTY;
+  let drawnAt = 0;
+  const rates = () => {
+    const seconds = Math.max(0.001, (Date.now() - startedAt) / 1000);
+    return `${formatBytes(totals.bytes / seconds)}/s, ${Math.round(totals.lines / seconds)} lines/s`;
+  };
+
+  return {
+    add(bytes, lines) {
+      totals.bytes += bytes;
+      totals.lines += lines;
+      if (!live || Date.now() - drawnAt < 250) return;
+      drawnAt = Date.now();
+      const percent = totalBytes ? ` (${((totals.bytes / totalBytes) * 100).toFixed(1)}%)` : '';
+      process.stderr.write(`\rRead ${formatBytes(totals.bytes)} of ${formatBytes(totalBytes)}${percent}, ${totals.lines} lines, ${rates()}\x1b[K`);
+    },
+    done(workers) {
+      if (live) process.stderr.write('\r\x1b[K');
+      if (!totals.lines) return;
+      parallel.onInfo(`Read ${formatBytes(totals.bytes)} (${totals.lines} lines) with ${workers} workers in ${((Date.now() - startedAt) / 1000).toFixed(1)}s: ${rates()}`);
+    }
+  };
+}
+
+// Function to format a byte count with a binary unit
+function formatBytes(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let unit = 0;
+  while (bytes >= 1024 && unit < units.length - 1) {
+    bytes /= 1024;
+    unit++;
+  }
+  return `${unit ? bytes.toFixed(1) : Math.round(bytes)} ${units[unit]}`;
+}
+
+// Function to exit with a message when no line with a usable timestamp was read
+function requireData(config, analyzer) {
+  if (!analyzer.hasData()) {
+    console.error(hasFilters(analyzer.filters) ? 'No valid timestamps found in log matching the filters.' : 'No valid timestamps found in log.');
+    process.exit(1);
+  }
+}
+
+// Function to open an input as a text stream, unzipping gzip files
+function openLogStream(file) {
+  if (file === '-') return process.stdin;
+
+  const stream = fs.createReadStream(file);
+  if (!isGzipFile(file)) return stream;
+
+  const gunzip = zlib.createGunzip();
+  stream.on('error', err => gunzip.destroy(err));
+  return stream.pipe(gunzip);
+}
+
+// Function to detect gzip files by their magic bytes, since rotated names vary
+function isGzipFile(file) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const header = Buffer.alloc(2);
+    const bytesRead = fs.readSync(fd, header, 0, 2, 0);
+    return bytesRead === 2 && header[0] === 0x1f && header[1] === 0x8b;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Function to expand input arguments (files, directories, globs, -) into a list of files
+function resolveInputs(inputs, outputPaths = []) {
+  const files = [];
+  const reportNames = [...Object.values(reporters).map(reporter => reporter.fileName).filter(Boolean), ...commandOutputNames];
+  const withoutReports = found => found.filter(file => !isOwnOutput(file, reportNames, outputPaths));
+
+  inputs.forEach(input => {
+    if (input === '-') {
+      files.push(input);
+    } else if (/[*?[]/.test(input)) {
+      const matches = withoutReports(expandGlob(input));
+      if (!matches.length) throw new Error(`No files match ${input}`);
+      files.push(...matches);
+    } else if (!fs.existsSync(input)) {
+      throw new Error(`Input not found: ${input}`);
+    } else if (fs.statSync(input).isDirectory()) {
+      // Every regular file in the directory, skipping our own reports
+      const entries = withoutReports(fs.readdirSync(input).map(name => path.join(input, name)))
+        .filter(file => fs.statSync(file).isFile())
+        .sort();
+      if (!entries.length) throw new Error(`No files in directory ${input}`);
+      files.push(...entries);
+    } else {
+      files.push(input);
+    }
+  });
+
+  // The same file can be named twice (e.g. a directory and a glob inside it)
+  return [...new Set(files)];
+}
+
+// Function to tell whether a file is one of our reports: a default report name in any directory or an
+// --output-file path, or one of the per-table files (<name>-<table>.csv) written beside either
+function isOwnOutput(file, reportNames, outputPaths) {
+  const name = path.basename(file);
+  const isTableOf = own => {
+    const extension = path.extname(own);
+    const base = path.basename(own, extension);
+    return name.startsWith(`${base}-`) && name.endsWith(extension) && name.length > base.length + 1 + extension.length;
+  };
+  const resolved = path.resolve(file);
+  return reportNames.some(own => name === own || isTableOf(own)) ||
+    outputPaths.some(own => resolved === path.resolve(own) || (path.dirname(resolved) === path.dirname(path.resolve(own)) && isTableOf(path.basename(own))));
+}
+
+// Function to expand a glob pattern (*, ?, [...] and **) to matching files
+function expandGlob(pattern) {
+  const segments = pattern.split(/[\\/]/);
+  const firstWildcard = segments.findIndex(segment => /[*?[]/.test(segment));
+  const baseDir = segments.slice(0, firstWildcard).join('/') || (pattern.startsWith('/') ? '/' : '.');
+
+  const source = segments.slice(firstWildcard).map(segment => {
+    if (segment === '**') return '(?:.*/)?';
+    return segment
+      .replace(/[.+^${}()|\\]/g, '\\$&')
+      .replace(/\*/g, '[^/]*')
+      .replace(/\?/g, '[^/]')
+      .replace(/\[!/g, '[^') + '/';
+  }).join('').replace(/\/$/, '');
+  const regex = new RegExp(`^${source}$`);
+
+  const matches = [];
+  const walk = (dir, relative) => {
+    let entries;
+    try {
+      entries = fs.readdirSync(dir, { withFileTypes: true });
+    } catch (err) {
+      return;
+    }
+    entries.forEach(entry => {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        walk(path.join(dir, entry.name), entryPath);
+      } else if (entry.isFile() && regex.test(entryPath)) {
+        matches.push(path.join(baseDir, entryPath));
+      }
+    });
+  };
+  walk(baseDir, '');
+
+  return matches.sort();
+}
+
+// Function to process a single log line through the input adapter of its source
+function processLine(analyzer, line, source) {
+  const input = inputStateFor(analyzer, source);
+  input.lineNumber++;
+  const stats = sourceStatsFor(analyzer.metrics, source);
+  if (stats.firstLine === null) stats.firstLine = input.lineNumber;
+  stats.lastLine = input.lineNumber;
+  readInputLine(analyzer, input, line, source, input.lineNumber);
+}
+
+// Function to get (or start) the adapter state of a source
+function inputStateFor(analyzer, source) {
+  if (!analyzer.inputs[source]) {
+    analyzer.inputs[source] = createInputState(analyzer.inputFormat === 'auto' ? null : analyzer.inputFormat);
+  }
+  return analyzer.inputs[source];
+}
+
+// Function to start the adapter state of one input: its format (null until detected) and held back text
+function createInputState(format) {
+  return {
+    format,
+    lineNumber: 0,
+    lastTime: null, // Time of the previous entry, to spot timestamps going backwards
+    pending: null, // Plain-text entry waiting for stack trace lines
+    pendingLine: null,
+    pendingRaw: null, // Its raw lines, kept only for onEntry
+    partial: '', // Docker splits long lines into several log records
+    inner: null // Adapter state of the lines inside a Docker wrapper
+  };
+}
+
+// Function to count and report a line no adapter could read
+function skipLine(analyzer, source, lineNumber, reason, line) {
+  sourceStatsFor(analyzer.metrics, source).lines++;
+  trackDataIssue(analyzer.metrics, 'unparseableLines', source, lineNumber, reason, line);
+  analyzer.onWarning(`Error parsing log line${lineNumber ? ` ${lineNumber}` : ''}: ${reason}`);
+}
+
+// Function to turn one raw line into log entries according to the input's format
+function readInputLine(analyzer, input, line, source, lineNumber) {
+  if (!input.format) {
+    input.format = detectInputFormat(analyzer, line);
+    // Undecided (e.g. a stack trace before the first entry); try again on the next line
+    if (!input.format) return skipLine(analyzer, source, lineNumber, 'unrecognized log format', line);
+  }
+  if (input === analyzer.inputs[source]) sourceStatsFor(analyzer.metrics, source).format = input.format;
+
+  if (input.format === 'text') {
+    const match = analyzer.textPattern.exec(line);
+    if (match) {
+      flushPending(analyzer, input, source);
+      input.pending = textEntry(match.groups);
+      input.pendingLine = lineNumber;
+      input.pendingRaw = analyzer.onEntry ? line : null;
+    } else if (input.pending) {
+      input.pending.message += '\n' + line;
+      if (input.pendingRaw !== null) input.pendingRaw += '\n' + line;
+    } else {
+      skipLine(analyzer, source, lineNumber, 'line does not match the text pattern', line);
+    }
+    return;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (parseError) {
+    return skipLine(analyzer, source, lineNumber, parseError.message, line);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    return skipLine(analyzer, source, lineNumber, 'not a JSON object', line);
+  }
+
+  if (input.format === 'docker') {
+    if (typeof parsed.log !== 'string') return skipLine(analyzer, source, lineNumber, 'no log field in Docker record', line);
+    input.partial += parsed.log;
+    // Only a record ending in a newline completes the line
+    if (!parsed.log.endsWith('\n')) return;
+    const innerLine = input.partial.replace(/\r?\n$/, '');
+    input.partial = '';
+    input.inner = input.inner || createInputState(null);
+    return readInputLine(analyzer, input.inner, innerLine, source, lineNumber);
+  }
+
+  const fields = { ...jsonFieldMaps[input.format], ...analyzer.fieldMap };
+  const raw = analyzer.onEntry ? { line, format: input.format } : null;
+  processEntry(analyzer, input.format === 'logback' && !Object.keys(analyzer.fieldMap).length ? parsed : mapEntry(parsed, fields), source, lineNumber, raw);
+}
+
+// Function to guess an input's format from a line: JSON shapes by their keys, otherwise the text pattern
+function detectInputFormat(analyzer, line) {
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch (err) {
+    return analyzer.textPattern.test(line) ? 'text' : null;
+  }
+
+  if (!parsed || typeof parsed !== 'object') return null;
+  if (typeof parsed.log === 'string') return 'docker';
+  if (fieldValue(parsed, 'log.level') !== undefined || fieldValue(parsed, 'ecs.version') !== undefined) return 'ecs';
+  if (parsed.msg !== undefined && parsed.time !== undefined) return 'pino';
+  return 'logback';
+}
+
+// Function to process the held back plain-text entry, if any
+function flushPending(analyzer, input, source) {
+  if (input.pending) processEntry(analyzer, input.pending, source, input.pendingLine, input.pendingRaw !== null ? { line: input.pendingRaw, format: 'text' } : null);
+  input.pending = null;
+  input.pendingRaw = null;
+}
+
+// Function to process whatever a source still holds back, at the end of its input
+function flushInput(analyzer, source) {
+  const input = analyzer.inputs[source];
+  if (!input) return;
+
+  if (input.partial) {
+    const innerLine = input.partial;
+    input.partial = '';
+    input.inner = input.inner || createInputState(null);
+    readInputLine(analyzer, input.inner, innerLine, source, input.lineNumber);
+  }
+  [input, input.inner].filter(Boolean).forEach(state => flushPending(analyzer, state, source));
+}
+
+// Function to read a field by path, as a flat dotted key (ECS style) or through nested objects
+function fieldValue(entry, fieldPath) {
+  if (fieldPath in entry) return entry[fieldPath];
+  return fieldPath.split('.').reduce((value, key) => value && typeof value === 'object' ? value[key] : undefined, entry);
+}
+
+// Function to reshape a JSON entry into the Logback fields processEntry reads
+function mapEntry(entry, fields) {
+  const timestamp = fieldValue(entry, fields.timestamp);
+  const level = fieldValue(entry, fields.level);
+
+  return {
+    ...entry,
+    // Epoch numbers are milliseconds, or seconds when too small to be a recent time in ms
+    '@timestamp': typeof timestamp === 'number' ? new Date(timestamp < 1e11 ? timestamp * 1000 : timestamp).toISOString() : timestamp,
+    level: typeof level === 'number' ? numericLevels[level] || String(level) : level,
+    message: fieldValue(entry, fields.message),
+    logger_name: fieldValue(entry, fields.logger) ?? '',
+    thread_name: fieldValue(entry, fields.thread) ?? ''
+  };
+}
+
+// Function to build a log entry from the named groups of a text pattern match
+function textEntry(groups) {
+  // Layout dates rarely carry a zone; those without one are read as UTC
+  const time = groups.timestamp.trim().replace(',', '.').replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T');
+  const parsed = new Date(/(?:Z|[+-]\d{2}:?\d{2})$/.test(time) ? time : time + 'Z');
+
+  return {
+    '@timestamp': isNaN(parsed) ? groups.timestamp : parsed.toISOString(),
+    level: groups.level || 'INFO',
+    message: groups.message,
+    logger_name: groups.logger || '',
+    thread_name: groups.thread || '',
+    ...(groups.trace ? { traceId: groups.trace } : {})
+  };
+}
+
+// Function to compile a Logback/log4j layout pattern into a regex with named groups for the fields we use
+function compileTextPattern(pattern) {
+  const fieldsByWord = {
+    d: 'timestamp', date: 'timestamp',
+    p: 'level', le: 'level', level: 'level',
+    t: 'thread', thread: 'thread',
+    c: 'logger', lo: 'logger', logger: 'logger',
+    m: 'message', msg: 'message', message: 'message'
+  };
+  const fieldRegexes = { level: '[A-Za-z]+', thread: '.*?', logger: '\\S+', message: '.*', trace: '\\S*' };
+  const literal = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+  const tokenRegex = /%(-?\d*(?:\.-?\d+)?)([a-zA-Z]+)(?:\{([^}]*)\})?/g;
+  const captured = new Set();
+  let source = '';
+  let last = 0;
+  let token;
+
+  while ((token = tokenRegex.exec(pattern))) {
+    const [, padding, word, option] = token;
+    source += literal(pattern.slice(last, token.index));
+    last = tokenRegex.lastIndex;
+    if (word === 'n') continue;
+
+    // Conversion words we do not need (other MDC keys, caller data, ...) still have to match something
+    const mdcKey = ['X', 'mdc'].includes(word) && option ? option.split(':-')[0] : null;
+    const field = mdcKey && traceIdFields.includes(mdcKey) ? 'trace' : fieldsByWord[word];
+    let part = field === 'timestamp' ? dateFormatRegex(option) : fieldRegexes[field] || '.*?';
+    part = field && !captured.has(field) ? `(?<${field}>${part})` : `(?:${part})`;
+    if (field) captured.add(field);
+    source += padding ? `\\s*${part}\\s*` : part;
+  }
+  source += literal(pattern.slice(last));
+
+  if (!captured.has('timestamp') || !captured.has('message')) {
+    throw new Error('needs a date (%d) and a message (%msg) conversion');
+  }
+  return new RegExp(`^${source}$`);
+}
+
+// Function to turn a Logback date format (%d{...}) into a regex for the text it produces
+function dateFormatRegex(option) {
+  // %d and %d{ISO8601} are yyyy-MM-dd HH:mm:ss,SSS; a trailing ", zone" only shifts the time
+  const format = (!option || option === 'ISO8601' ? 'yyyy-MM-dd HH:mm:ss,SSS' : option)
+    .replace(/,\s*(?:[A-Za-z]+\/[\w/+-]+|UTC|GMT)$/, '')
+    .replace(/^"(.*)"$/, '$1');
+  const tokens = { yyyy: '\\d{4}', yy: '\\d{2}', MM: '\\d{2}', dd: '\\d{2}', HH: '\\d{2}', mm: '\\d{2}', ss: '\\d{2}', SSS: '\\d{3}' };
+
+  return format.replace(/'([^']*)'|yyyy|yy|MM|dd|HH|mm|ss|SSS|X{1,3}|Z|[.*+?^${}()|[\]\\]|\s+/g, (match, quoted) => {
+    if (quoted !== undefined) return quoted.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    if (tokens[match]) return tokens[match];
+    if (/^(?:X{1,3}|Z)$/.test(match)) return '(?:Z|[+-]\\d{2}:?\\d{2})';
+    if (/^\s+$/.test(match)) return '\\s+';
+    return '\\' + match;
+  });
+}
+
+// Function to get (or start) the per-source totals so merged results can still be broken down
+function sourceStatsFor(metrics, source) {
+  if (!metrics.sources[source]) {
+    metrics.sources[source] = {
+      lines: 0,
+      parsedLines: 0,
+      filteredLines: 0,
+      callbacks: 0,
+      newMessages: 0,
+      errors: 0,
+      warnings: 0,
+      format: null, // Input format, detected or forced
+      startTime: null,
+      endTime: null,
+      firstLine: null, // Line numbers read, so merge can place a shard's samples
+      lastLine: null
+    };
+  }
+  return metrics.sources[source];
+}
+
+// Function to process a single parsed log entry
+function processEntry(analyzer, logEntry, source, lineNumber = null, raw = null) {
+  const { metrics, filters, rules } = analyzer;
+  const sourceStats = sourceStatsFor(metrics, source);
+  sourceStats.lines++;
+
+  try {
+    // Without a time the line cannot be placed; other missing fields fall back to neutral values
+    const missing = requiredFields.filter(field => logEntry[field] === undefined || logEntry[field] === null);
+    if (missing.length) {
+      trackDataIssue(metrics, 'missingFields', source, lineNumber, `missing ${missing.join(', ')}`, logEntry);
+      if (missing.includes('@timestamp')) {
+        analyzer.onWarning(`Error parsing log line${lineNumber ? ` ${lineNumber}` : ''}: missing @timestamp`);
+        return;
+      }
+    }
+    if (missing.length || typeof logEntry.message !== 'string' || typeof logEntry.level !== 'string') {
+      logEntry = {
+        ...logEntry,
+        level: String(logEntry.level ?? 'unknown'),
+        message: typeof logEntry.message === 'string' ? logEntry.message : JSON.stringify(logEntry.message ?? ''),
+        logger_name: String(logEntry.logger_name ?? '')
+      };
+    }
+
+    const { level, message, '@timestamp': timestamp, logger_name } = logEntry;
+    const levelLower = level.toLowerCase();
+    const logTime = new Date(timestamp);
+    if (isNaN(logTime)) {
+      trackDataIssue(metrics, 'badTimestamps', source, lineNumber, `invalid @timestamp ${timestamp}`, logEntry);
+      analyzer.onWarning(`Error parsing log line${lineNumber ? ` ${lineNumber}` : ''}: invalid @timestamp ${timestamp}`);
+      return;
+    }
+
+    // Entries are expected in time order within a source; count each step backwards
+    const input = inputStateFor(analyzer, source);
+    if (input.lastTime !== null && logTime.getTime() < input.lastTime) {
+      trackDataIssue(metrics, 'outOfOrderTimestamps', source, lineNumber, `${timestamp} is ${input.lastTime - logTime.getTime()}ms before the line above`, logEntry);
+    }
+    input.lastTime = logTime.getTime();
+
+    // Skip lines outside the active filters before they touch any metric
+    if (!matchesFilters(filters, logTime, levelLower, logger_name)) {
+      sourceStats.filteredLines++;
+      return;
+    }
+
+    // Track log levels
+    metrics.logLevels[levelLower] = (metrics.logLevels[levelLower] || 0) + 1;
+
+    // Update timestamp range
+    if (!metrics.startTime || logTime < metrics.startTime) metrics.startTime = logTime;
+    if (!metrics.endTime || logTime > metrics.endTime) metrics.endTime = logTime;
+    sourceStats.parsedLines++;
+    if (!sourceStats.startTime || logTime < sourceStats.startTime) sourceStats.startTime = logTime;
+    if (!sourceStats.endTime || logTime > sourceStats.endTime) sourceStats.endTime = logTime;
+
+    // Track time intervals (by bucket, aligned to the bucketing timezone)
+    const time = logTime.getTime();
+    const { key: timeKey, start } = bucketFor(analyzer.bucketing, time);
+    if (!metrics.timeIntervals[timeKey]) {
+      metrics.timeIntervals[timeKey] = {
+        start,
+        firstLineAt: time,
+        lastLineAt: time,
+        lines: 0,
+        messages: 0,
+        cacheHits: 0,
+        jobs: 0,
+        stores: 0,
+        errors: 0
+      };
+    }
+    const interval = metrics.timeIntervals[timeKey];
+    interval.lines++;
+    if (time < interval.firstLineAt) interval.firstLineAt = time;
+    if (time > interval.lastLineAt) interval.lastLineAt = time;
+
+    // Break lines down by logger and thread, and follow requests by their trace id
+    countBreakdown(metrics.loggers, logger_name || '(none)', levelLower);
+    countBreakdown(metrics.threads, String(logEntry.thread_name ?? '') || '(none)', levelLower);
+    const traceId = traceIdOf(analyzer, logEntry);
+    if (traceId) trackTrace(analyzer, traceId, logEntry, levelLower, time, source, lineNumber);
+
+    // Low-memory mode lets go of correlation state that has been idle for too long
+    if (metrics.lowMemory) expireIdleState(analyzer, time);
+
+    // Process Moengage Callback messages
+    const moengageMatch = message.match(moengageCallbackRegex);
+    const isCallback = Boolean(moengageMatch && logger_name.includes('MoengageCallbackController'));
+
+    // Detect errors and warnings
+    const issue = classifyIssue(levelLower, message, isCallback);
+    if (issue && !issue.inferred) {
+      keepSample(metrics, issue.kind, { timestamp, message });
+      if (issue.kind === 'error') {
+        sourceStats.errors++;
+        interval.errors++;
+      } else {
+        sourceStats.warnings++;
+      }
+    }
+    if (issue) trackIssue(metrics, issue.kind, issue.inferred, levelLower, logEntry, timestamp, timeKey);
+
+    if (isCallback) {
+      try {
+        const callbackData = JSON.parse(moengageMatch[1]);
+        const problems = callbackShapeProblems(callbackData);
+
+        // A single callback can batch several entries, changes and statuses; a status that cannot be
+        // read is skipped (and counted with the line's other problems) without losing the rest
+        (callbackData.entry || []).forEach(entry => {
+          (entry?.changes || []).forEach(change => {
+            const value = change?.value;
+            if (filters.wabaNumbers && !filters.wabaNumbers.has(value?.metadata?.phone_number_id)) return;
+            (value?.statuses || []).forEach(status => {
+              try {
+                trackStatus(analyzer, status, value, timestamp, timeKey, source);
+              } catch (statusError) {
+                problems.push(`unreadable status${status?.id ? ` ${status.id}` : ''}: ${statusError.message}`);
+                analyzer.onWarning(`Error parsing Moengage callback status${lineNumber ? ` on line ${lineNumber}` : ''}: ${statusError.message}`);
+              }
+            });
+          });
+        });
+        if (problems.length) trackDataIssue(metrics, 'unexpectedCallbacks', source, lineNumber, problems.join('; '), logEntry);
+      } catch (parseError) {
+        trackDataIssue(metrics, 'unexpectedCallbacks', source, lineNumber, `unreadable callback: ${parseError.message}`, logEntry);
+        analyzer.onWarning(`Error parsing Moengage callback data: ${parseError.message}`);
+      }
+    }
+
+    // Apply log-pattern rules for store operations, cache hits, job completions etc.
+    rules.forEach(rule => applyRule(analyzer, rule, logEntry, timestamp, timeKey));
+
+    if (analyzer.onEntry) {
+      analyzer.onEntry(logEntry, { raw, source, lineNumber, traceId, issue, callbackJson: isCallback ? moengageMatch[1] : null });
+    }
+  } catch (parseError) {
+    trackDataIssue(metrics, 'unparseableLines', source, lineNumber, parseError.message, logEntry);
+    analyzer.onWarning(`Error parsing log line${lineNumber ? ` ${lineNumber}` : ''}: ${parseError.message}`);
+  }
+}
+
+// Function to summarize data quality problems against the number of lines read
+function calculateDataQuality(metrics) {
+  const totalLines = Object.values(metrics.sources).reduce((sum, stats) => sum + stats.lines, 0);
+  const checks = Object.entries(dataQualityChecks).map(([check, label]) => ({
+    check,
+    label,
+    count: metrics.dataQuality.counts[check],
+    samples: metrics.dataQuality.samples[check]
+  }));
+  // Counted per message while reading callbacks, without line samples
+  checks.push({ check: 'malformedBizData', label: 'Messages with malformed biz_opaque_callback_data', count: metrics.malformedBizData, samples: [] });
+
+  const issues = checks.reduce((sum, check) => sum + check.count, 0);
+  return {
+    totalLines,
+    issues,
+    issueRate: totalLines > 0 ? ((issues / totalLines) * 100).toFixed(2) + '%' : '0%',
+    checks
+  };
+}
+
+// Function to count a data quality problem, keeping the first few offending lines as samples
+function trackDataIssue(metrics, check, source, lineNumber, reason, line) {
+  const { counts, samples } = metrics.dataQuality;
+  counts[check]++;
+  if (samples[check].length < dataQualitySampleSize) {
+    const text = typeof line === 'string' ? line : JSON.stringify(line);
+    samples[check].push({ source: source === '-' ? 'stdin' : source, line: lineNumber, reason, text: text.slice(0, 300) });
+  }
+}
+
+// Function to keep an error or warning line: every one, or a uniform (reservoir) sample in low-memory mode
+function keepSample(metrics, kind, line) {
+  const lines = metrics[`${kind}s`];
+  const seen = ++metrics[`${kind}Count`];
+  if (!metrics.lowMemory || lines.length < metrics.lowMemory.sampleSize) {
+    lines.push(line);
+    return;
+  }
+
+  const slot = Math.floor(Math.random() * seen);
+  if (slot < lines.length) lines[slot] = line;
+}
+
+// Function to list what is unusual about a webhook payload's shape, beyond what we can still read
+function callbackShapeProblems(callbackData) {
+  const problems = [];
+  if (!Array.isArray(callbackData?.entry) || !callbackData.entry.length) return ['no entry'];
+
+  callbackData.entry.forEach(entry => {
+    if (!Array.isArray(entry?.changes) || !entry.changes.length) {
+      problems.push('entry without changes');
+      return;
+    }
+    if (entry.changes.length > 1) problems.push(`${entry.changes.length} changes in one entry`);
+    entry.changes.forEach(change => {
+      if (!Array.isArray(change?.value?.statuses)) {
+        problems.push('change without statuses');
+        return;
+      }
+      change.value.statuses.forEach(status => {
+        if (!status?.id) problems.push('status without id');
+        if (!statusRanks[status?.status]) problems.push(`unknown status "${status?.status}"`);
+      });
+    });
+  });
+
+  return [...new Set(problems)];
+}
+
+// Function to calculate derived metrics
+function calculateMetrics(analyzer) {
+  const { metrics } = analyzer;
+  if (!metrics.startTime || !metrics.endTime) {
+    throw new Error(hasFilters(analyzer.filters) ? 'No valid timestamps found in log matching the filters.' : 'No valid timestamps found in log.');
+  }
+
+  const durationMs = metrics.endTime - metrics.startTime;
+  const durationSeconds = durationMs / 1000;
+
+  // Message success rate (stored messages out of messages seen in callbacks)
+  const successRate = metrics.messagesSent > 0 ?
+    (metrics.storeOperations / metrics.messagesSent) * 100 : 0;
+
+  return {
+    filters: describeFilters(analyzer.filters),
+    unfilteredByWaba: analyzer.filters.wabaNumbers ? wabaUnfilteredFigures : [],
+    startTime: metrics.startTime.toISOString(),
+    endTime: metrics.endTime.toISOString(),
+    duration: {
+      milliseconds: durationMs,
+      seconds: durationSeconds.toFixed(2),
+      minutes: (durationSeconds / 60).toFixed(2)
+    },
+    messages: {
+      total: metrics.messagesSent,
+      perSecond: (metrics.messagesSent / durationSeconds).toFixed(2),
+      successRate: successRate.toFixed(2) + '%'
+    },
+    statuses: calculateStatusMetrics(metrics),
+    jobs: {
+      total: metrics.completedJobs,
+      unique: countUnique(metrics.jobIds),
+      perSecond: (metrics.completedJobs / durationSeconds).toFixed(2)
+    },
+    wabaNumbers: {
+      list: Array.from(metrics.uniqueWabaNumbers),
+      count: metrics.uniqueWabaNumbers.size,
+      messageDistribution: Object.fromEntries(
+        Object.entries(metrics.wabaMessageMap).map(([wabaNumber, data]) => [
+          wabaNumber,
+          {
+            messages: data.count,
+            uniqueMessageIds: countUnique(data.messageIds),
+            uniqueWamids: countUnique(data.wamids),
+            percentOfTotal: metrics.messagesSent > 0 ?
+              ((data.count / metrics.messagesSent) * 100).toFixed(2) + '%' : '0%'
+          }
+        ])
+      )
+    },
+    cacheMetrics: {
+      hits: metrics.cacheHits,
+      hitsPerWabaNumber: metrics.uniqueWabaNumbers.size > 0 ?
+        (metrics.cacheHits / metrics.uniqueWabaNumbers.size).toFixed(2) : '0',
+      byWabaNumber: metrics.countersByWaba.cacheHits || {}
+    },
+    storeOperations: metrics.storeOperations,
+    messageIds: {
+      unique: countUnique(metrics.messageIds),
+      ratio: metrics.messagesSent > 0 ?
+        (countUnique(metrics.messageIds) / metrics.messagesSent).toFixed(4) : '0'
+    },
+    wamids: {
+      unique: countUnique(metrics.wamids),
+      ratio: metrics.messagesSent > 0 ?
+        (countUnique(metrics.wamids) / metrics.messagesSent).toFixed(4) : '0'
+    },
+    processing: calculateProcessingMetrics(metrics),
+    bizData: {
+      malformed: metrics.malformedBizData,
+      groupBy: analyzer.groupBy,
+      groups: calculateGroupMetrics(analyzer)
+    },
+    recipients: calculateRecipientMetrics(analyzer),
+    duplicates: findDuplicates(metrics),
+    throughput: calculateThroughput(analyzer),
+    rules: {
+      matches: metrics.ruleMatches,
+      customCounters: metrics.customCounters,
+      timings: Object.fromEntries(
+        Object.entries(metrics.timings).map(([name, durations]) => [name, summarizeDurations(durations)])
+      )
+    },
+    dataQuality: calculateDataQuality(metrics),
+    memory: describeMemoryMode(metrics),
+    sources: Object.entries(metrics.sources).map(([source, stats]) => ({
+      source: source === '-' ? 'stdin' : source,
+      format: stats.format,
+      lines: stats.lines,
+      parsedLines: stats.parsedLines,
+      filteredLines: stats.filteredLines,
+      callbacks: stats.callbacks,
+      newMessages: stats.newMessages,
+      errors: stats.errors,
+      warnings: stats.warnings,
+      startTime: stats.startTime ? stats.startTime.toISOString() : null,
+      endTime: stats.endTime ? stats.endTime.toISOString() : null
+    })),
+    logLevels: metrics.logLevels,
+    loggers: calculateBreakdown(metrics.loggers, 'logger'),
+    threads: calculateBreakdown(metrics.threads, 'thread'),
+    traces: calculateTraceMetrics(analyzer),
+    issueClusters: calculateIssueClusters(metrics),
+    errorCount: metrics.errorCount,
+    warningCount: metrics.warningCount,
+    // Samples are kept in arrival order; put them back in time order
+    errors: metrics.lowMemory ? sortByTimestamp(metrics.errors) : metrics.errors,
+    warnings: metrics.lowMemory ? sortByTimestamp(metrics.warnings) : metrics.warnings
+  };
+}
+
+// Function to sort log lines by their timestamp, without touching the original list
+function sortByTimestamp(lines) {
+  return [...lines].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+}
+
+// Function to describe how figures were kept: exactly, or estimated and sampled with idle state expired
+function describeMemoryMode(metrics) {
+  const { lowMemory } = metrics;
+  if (!lowMemory) return { lowMemory: false, approximate: [] };
+
+  return {
+    lowMemory: true,
+    pendingTtl: formatDuration(lowMemory.ttlMs),
+    sampleSize: lowMemory.sampleSize,
+    expired: { ...lowMemory.expired },
+    lateCallbacks: lowMemory.lateCallbacks,
+    // Callbacks for expired messages no longer move those messages through the funnel
+    approximate: lowMemory.lateCallbacks ? [...lowMemoryApproximations, 'statuses.current', 'statuses.funnel'] : lowMemoryApproximations
+  };
+}
+
+// Function to merge another analyzer's metrics state into this one (the other state must cover later lines)
+function mergeMetrics(target, source) {
+  const addCounts = (into, from) => {
+    Object.entries(from).forEach(([key, count]) => {
+      into[key] = (into[key] || 0) + count;
+    });
+  };
+
+  if (source.startTime && (!target.startTime || source.startTime < target.startTime)) target.startTime = source.startTime;
+  if (source.endTime && (!target.endTime || source.endTime > target.endTime)) target.endTime = source.endTime;
+
+  ruleCounters.forEach(counter => {
+    target[counter] += source[counter];
+  });
+  target.messagesSent += source.messagesSent;
+  target.malformedBizData += source.malformedBizData;
+  ['error', 'warning'].forEach(kind => {
+    if (target.lowMemory) {
+      target[`${kind}s`] = mergeSamples(target[`${kind}s`], target[`${kind}Count`], source[`${kind}s`], source[`${kind}Count`], target.lowMemory.sampleSize);
+    } else {
+      source[`${kind}s`].forEach(line => target[`${kind}s`].push(line));
+    }
+    target[`${kind}Count`] += source[`${kind}Count`];
+  });
+  ['uniqueWabaNumbers', 'messageIds', 'wamids', 'jobIds'].forEach(counter => mergeUnique(target[counter], source[counter]));
+  ['logLevels', 'statusCounts', 'ruleMatches', 'customCounters'].forEach(map => addCounts(target[map], source[map]));
+  Object.entries(source.countersByWaba).forEach(([counter, byWaba]) => {
+    addCounts(target.countersByWaba[counter] = target.countersByWaba[counter] || {}, byWaba);
+  });
+  Object.values(source.failureReasons).forEach(reason => {
+    if (!target.failureReasons[reason.code]) {
+      target.failureReasons[reason.code] = { ...reason, count: 0 };
+    }
+    target.failureReasons[reason.code].count += reason.count;
+  });
+  Object.entries(source.timeIntervals).forEach(([timeKey, interval]) => {
+    const into = target.timeIntervals[timeKey];
+    if (!into) {
+      target.timeIntervals[timeKey] = { ...interval };
+      return;
+    }
+    const { start, firstLineAt, lastLineAt, ...counts } = interval;
+    addCounts(into, counts);
+    into.firstLineAt = Math.min(into.firstLineAt, firstLineAt);
+    into.lastLineAt = Math.max(into.lastLineAt, lastLineAt);
+  });
+  // A shard that read a source from its first line while the target already has lines of it numbers
+  // them from 1 again: its samples move down by the target's lines (worker shards resume the numbering)
+  const lineOffsets = {};
+  Object.entries(source.sources).forEach(([name, stats]) => {
+    const into = target.sources[name];
+    if (into && into.lastLine && stats.firstLine === 1) lineOffsets[name === '-' ? 'stdin' : name] = into.lastLine;
+  });
+  const placeLine = sample => lineOffsets[sample.source] && sample.line ? { ...sample, line: sample.line + lineOffsets[sample.source] } : sample;
+
+  Object.entries(source.sources).forEach(([name, stats]) => {
+    const into = target.sources[name];
+    if (!into) {
+      target.sources[name] = { ...stats };
+      return;
+    }
+    const offset = lineOffsets[name === '-' ? 'stdin' : name] || 0;
+    Object.keys(stats).filter(key => typeof stats[key] === 'number' && !['firstLine', 'lastLine'].includes(key)).forEach(key => {
+      into[key] += stats[key];
+    });
+    if (stats.firstLine !== null && (into.firstLine === null || stats.firstLine + offset < into.firstLine)) into.firstLine = stats.firstLine + offset;
+    if (stats.lastLine !== null && stats.lastLine + offset > into.lastLine) into.lastLine = stats.lastLine + offset;
+    if (stats.startTime && (!into.startTime || stats.startTime < into.startTime)) into.startTime = stats.startTime;
+    if (stats.endTime && (!into.endTime || stats.endTime > into.endTime)) into.endTime = stats.endTime;
+  });
+  Object.entries(source.wabaMessageMap).forEach(([wabaNumber, data]) => {
+    const into = target.wabaMessageMap[wabaNumber] = target.wabaMessageMap[wabaNumber] ||
+      { messageIds: createUniqueCounter(Boolean(target.lowMemory)), wamids: createUniqueCounter(Boolean(target.lowMemory)), count: 0, perBucket: {} };
+    mergeUnique(into.messageIds, data.messageIds);
+    mergeUnique(into.wamids, data.wamids);
+    into.count += data.count;
+    addCounts(into.perBucket, data.perBucket);
+  });
+  Object.entries(source.issueClusters).forEach(([key, cluster]) => {
+    const into = target.issueClusters[key];
+    if (!into) {
+      target.issueClusters[key] = { ...cluster, levels: { ...cluster.levels }, perBucket: { ...cluster.perBucket }, samples: [...cluster.samples] };
+      return;
+    }
+    into.count += cluster.count;
+    addCounts(into.levels, cluster.levels);
+    addCounts(into.perBucket, cluster.perBucket);
+    if (new Date(cluster.firstSeen) < new Date(into.firstSeen)) into.firstSeen = cluster.firstSeen;
+    if (new Date(cluster.lastSeen) > new Date(into.lastSeen)) into.lastSeen = cluster.lastSeen;
+    into.samples.push(...cluster.samples.slice(0, clusterSampleSize - into.samples.length));
+  });
+
+  ['loggers', 'threads'].forEach(breakdown => {
+    Object.entries(source[breakdown]).forEach(([name, counts]) => {
+      const into = target[breakdown][name] = target[breakdown][name] || { lines: 0, levels: {} };
+      into.lines += counts.lines;
+      addCounts(into.levels, counts.levels);
+    });
+  });
+  Object.entries(source.traces).forEach(([traceId, trace]) => {
+    const into = target.traces[traceId];
+    if (!into) {
+      target.traces[traceId] = trace;
+      return;
+    }
+    into.lines += trace.lines;
+    into.start = Math.min(into.start, trace.start);
+    into.end = Math.max(into.end, trace.end);
+    addCounts(into.levels, trace.levels);
+    addCounts(into.loggers, trace.loggers);
+    into.firstError = into.firstError || trace.firstError;
+  });
+  source.traceTimeline.forEach(entry => target.traceTimeline.push(placeLine(entry)));
+
+  addCounts(target.dataQuality.counts, source.dataQuality.counts);
+  Object.entries(source.dataQuality.samples).forEach(([check, samples]) => {
+    const into = target.dataQuality.samples[check];
+    into.push(...samples.slice(0, dataQualitySampleSize - into.length).map(placeLine));
+  });
+
+  // A wamid seen in both shards was counted as a new message twice; the earlier shard keeps it
+  // (in low-memory mode, even if it already expired there)
+  const knownWamids = new Set(Object.keys(target.wamidStates));
+  Object.entries(source.wamidStates).forEach(([wamid, state]) => {
+    const into = target.wamidStates[wamid];
+    const expired = !into && target.lowMemory && inBloomFilter(target.lowMemory.retiredWamids, wamid);
+    if (!into && !expired) {
+      target.wamidStates[wamid] = state;
+      return;
+    }
+
+    target.messagesSent--;
+    target.timeIntervals[state.timeKey].messages--;
+    target.sources[state.source].newMessages--;
+    target.wabaMessageMap[state.wabaNumber].count--;
+    target.wabaMessageMap[state.wabaNumber].perBucket[state.timeKey]--;
+    if (state.malformedBizData) target.malformedBizData--;
+    if (expired) {
+      target.lowMemory.lateCallbacks += Object.values(state.reports).reduce((sum, count) => sum + count, 0);
+      return;
+    }
+
+    Object.entries(state.transitions).forEach(([statusName, time]) => {
+      if (!into.transitions[statusName] || time < into.transitions[statusName]) into.transitions[statusName] = time;
+    });
+    addCounts(into.reports, state.reports);
+    into.lastSeen = Math.max(into.lastSeen, state.lastSeen);
+    if (into.callbacks) into.callbacks.push(...state.callbacks);
+    if ((statusRanks[state.status] || 0) > (statusRanks[into.status] || 0)) into.status = state.status;
+  });
+
+  // Stores the later shard paired itself; a message the earlier shard already knew was sent there
+  source.processingTimes.forEach(item => {
+    if (!knownWamids.has(item.wamid)) {
+      target.processingTimes.push(item);
+      return;
+    }
+
+    const pending = target.messagesToStore[item.wamid];
+    if (!pending) {
+      target.unmatchedStores.push({ wamid: item.wamid, msgId: item.msgId, timestamp: item.storedTimestamp });
+      return;
+    }
+    target.processingTimes.push({ ...item, processingTimeMs: new Date(item.storedTimestamp) - new Date(pending.sentTimestamp) });
+    delete target.messagesToStore[item.wamid];
+    if (pending.msgId) delete target.pendingByMsgId[pending.msgId];
+  });
+
+  // Stores the later shard could not pair may belong to messages still pending in the earlier one
+  source.unmatchedStores.forEach(store => trackStore(target, store, store.timestamp));
+
+  Object.entries(source.messagesToStore).forEach(([wamid, pending]) => {
+    if (knownWamids.has(wamid)) return;
+    target.messagesToStore[wamid] = pending;
+    if (pending.msgId) target.pendingByMsgId[pending.msgId] = wamid;
+  });
+
+  // Timing pairs work the same way: unmatched ends look for a start left open in the earlier shard
+  source.unmatchedTimingEnds.forEach(end => {
+    const starts = target.timingStarts[end.name] || {};
+    if (starts[end.key] === undefined) {
+      target.unmatchedTimingEnds.push(end);
+      return;
+    }
+    target.timings[end.name] = target.timings[end.name] || createDurations(Boolean(target.lowMemory));
+    addDuration(target.timings[end.name], end.time - starts[end.key]);
+    delete starts[end.key];
+  });
+  Object.entries(source.timings).forEach(([name, durations]) => {
+    target.timings[name] = mergeDurations(target.timings[name] || createDurations(Boolean(target.lowMemory)), durations);
+  });
+  Object.entries(source.timingStarts).forEach(([name, starts]) => {
+    target.timingStarts[name] = { ...target.timingStarts[name], ...starts };
+  });
+
+  // Low-memory totals; both analyzers must have been created with the same lowMemory option
+  if (target.lowMemory) {
+    const into = target.lowMemory;
+    const from = source.lowMemory;
+    mergeDurations(into.processing, from.processing);
+    Object.entries(from.processingByWaba).forEach(([wabaNumber, durations]) => {
+      into.processingByWaba[wabaNumber] = mergeDurations(into.processingByWaba[wabaNumber] || createDurations(true), durations);
+    });
+    mergeTally(into.retired, from.retired);
+    mergeGroups(into.retiredGroups, from.retiredGroups);
+    mergeRecipients(into.retiredRecipients, from.retiredRecipients);
+    pruneRecipients(into.retiredRecipients, into.sampleSize);
+    mergeUnique(into.recipientIds, from.recipientIds);
+    from.retiredWamids.forEach((bits, index) => {
+      into.retiredWamids[index] |= bits;
+    });
+    into.repeatedStatuses.push(...from.repeatedStatuses.slice(0, into.sampleSize - into.repeatedStatuses.length));
+    into.repeatedStatusCount += from.repeatedStatusCount;
+    into.orphans.push(...from.orphans.slice(0, into.sampleSize - into.orphans.length));
+    addCounts(into.expired, from.expired);
+    into.lateCallbacks += from.lateCallbacks;
+    ['count', 'lines', 'withErrors'].forEach(total => {
+      into.retiredTraces[total] += from.retiredTraces[total];
+    });
+    from.retiredTraces.slowest.forEach(trace => keepTrace(into.retiredTraces.slowest, trace, traceOrders.slowest));
+    from.retiredTraces.errored.forEach(trace => keepTrace(into.retiredTraces.errored, trace, traceOrders.errored));
+    if (from.lastSweepAt !== null) into.lastSweepAt = Math.max(into.lastSweepAt ?? from.lastSweepAt, from.lastSweepAt);
+  }
+
+  return target;
+}
+
+// Function to merge uniform samples standing for seenA and seenB lines into one sample of at most size lines
+function mergeSamples(a, seenA, b, seenB, size) {
+  const pools = [[...a], [...b]];
+  const weights = [seenA, seenB];
+  const merged = [];
+  while (merged.length < size && (pools[0].length || pools[1].length)) {
+    // Draw from each side in proportion to the lines its remaining samples stand for
+    const side = !pools[1].length || (pools[0].length && Math.random() * (weights[0] + weights[1]) < weights[0]) ? 0 : 1;
+    const pool = pools[side];
+    weights[side] -= weights[side] / pool.length;
+    merged.push(pool.splice(Math.floor(Math.random() * pool.length), 1)[0]);
+  }
+  return merged;
+}
+
+// Function to render the console summary
+function renderConsoleSummary(finalMetrics) {
+  const lines = [];
+  const scope = wabaScopeNote(finalMetrics);
+  lines.push('Log Metrics Summary:');
+  lines.push(`Filters: ${formatFilters(finalMetrics.filters)}`);
+  lines.push(`Duration: ${finalMetrics.duration.seconds}s (${finalMetrics.duration.minutes} min)`);
+  lines.push(`Messages: ${finalMetrics.messages.total} (${finalMetrics.messages.perSecond}/sec)`);
+  lines.push(`Success Rate: ${finalMetrics.messages.successRate}`);
+  const { funnel, latency, failures } = finalMetrics.statuses;
+  lines.push(`Status Funnel: ${funnel.sent} sent -> ${funnel.delivered} delivered (${funnel.deliveryRate}) -> ${funnel.read} read (${funnel.readRate}), ${funnel.failed} failed (${funnel.failureRate})`);
+  lines.push(`Sent -> Delivered: p50 ${latency.sentToDelivered.p50Ms}ms, p95 ${latency.sentToDelivered.p95Ms}ms (${latency.sentToDelivered.count} measured)`);
+  lines.push(`Delivered -> Read: p50 ${latency.deliveredToRead.p50Ms}ms, p95 ${latency.deliveredToRead.p95Ms}ms (${latency.deliveredToRead.count} measured)`);
+  lines.push(`Unique WABA Numbers: ${finalMetrics.wabaNumbers.count}`);
+  lines.push(`Cache Hits: ${finalMetrics.cacheMetrics.hits}`);
+  lines.push(`Completed Jobs: ${finalMetrics.jobs.total}`);
+  lines.push(`Average Processing Time: ${finalMetrics.processing.avgTimeMs}ms`);
+  lines.push(`Processing Time p50/p90/p95/p99: ${finalMetrics.processing.p50TimeMs}/${finalMetrics.processing.p90TimeMs}/${finalMetrics.processing.p95TimeMs}/${finalMetrics.processing.p99TimeMs}ms (${finalMetrics.processing.measuredMessages} measured)`);
+  lines.push(`Never Stored (orphaned wamids): ${finalMetrics.processing.orphans.count}`);
+  lines.push(`Peak Throughput: ${finalMetrics.throughput.peakMessagesPerMinute} messages/min at ${finalMetrics.throughput.peakInterval}`);
+  const { bucket, stats, idleGaps } = finalMetrics.throughput;
+  lines.push(`Messages per ${bucket.size} bucket (${bucket.timeZone}): peak ${stats.messages.peak} at ${stats.messages.peakAt}, trough ${stats.messages.trough} at ${stats.messages.troughAt}, mean ${stats.messages.mean}, stddev ${stats.messages.stddev}`);
+  const { recipients, duplicates } = finalMetrics;
+  lines.push(`Recipients: ${recipients.count} (${recipients.abnormal.length} above ${recipients.volumeLimit} messages)`);
+  lines.push(`Duplicates: ${duplicates.msgIdsWithMultipleWamids} msg_ids with several wamids, ${duplicates.repeatedStatusReports} repeated status reports`);
+
+  if (finalMetrics.bizData.malformed) lines.push(`Malformed biz_opaque_callback_data: ${finalMetrics.bizData.malformed} messages`);
+  const { dataQuality } = finalMetrics;
+  lines.push(`Data Quality: ${dataQuality.issues} issues in ${dataQuality.totalLines} lines (${dataQuality.issueRate})`);
+  const { memory } = finalMetrics;
+  if (memory.lowMemory) {
+    lines.push(`Low-Memory Mode: ${memory.expired.messages} messages expired after ${memory.pendingTtl} idle, ${memory.lateCallbacks} late callbacks, samples of ${memory.sampleSize}`);
+    lines.push(`  Approximate: ${memory.approximate.join(', ')}`);
+  }
+
+  if (finalMetrics.sources.length > 1) {
+    lines.push(`\nSources (${finalMetrics.sources.length})${scope}:`);
+    finalMetrics.sources.forEach(source => lines.push(`  ${source.source} (${source.format || 'unknown'}): ${source.parsedLines}/${source.lines} lines, ${source.callbacks} callbacks, ${source.errors} errors`));
+  }
+
+  if (finalMetrics.loggers.length) {
+    lines.push(`\nTop Loggers (${finalMetrics.loggers.length} total)${scope}:`);
+    finalMetrics.loggers.slice(0, 10).forEach(logger => lines.push(`  ${logger.logger}: ${logger.lines} lines (${logger.share}), ${logger.errors} errors, ${logger.warnings} warnings`));
+  }
+  if (finalMetrics.threads.some(thread => thread.thread !== '(none)')) {
+    lines.push(`\nTop Threads (${finalMetrics.threads.length} total)${scope}:`);
+    finalMetrics.threads.slice(0, 10).forEach(thread => lines.push(`  ${thread.thread}: ${thread.lines} lines (${thread.share}), ${thread.errors} errors, ${thread.warnings} warnings`));
+  }
+
+  const { traces } = finalMetrics;
+  if (traces.count) {
+    lines.push(`\nTraces${scope}: ${traces.count} (${traces.lines} lines), ${traces.withErrors} with errors`);
+    lines.push('Slowest Traces:');
+    traces.slowest.slice(0, 10).forEach(trace => lines.push(`  ${trace.traceId}: ${trace.durationMs}ms, ${trace.lines} lines, ${trace.errors} errors, from ${trace.start}`));
+    if (traces.errored.length) {
+      lines.push('Traces With Errors:');
+      traces.errored.slice(0, 10).forEach(trace => lines.push(`  ${trace.traceId}: ${trace.errors} errors in ${trace.lines} lines, first: ${trace.firstError}`));
+    }
+  }
+
+  if (finalMetrics.bizData.groups.length) {
+    lines.push(`\nBy ${finalMetrics.bizData.groupBy.join(' / ')}:`);
+    const printGroups = (groups, indent) => groups.slice(0, 20).forEach(group => {
+      lines.push(`${indent}${group.field}=${group.value}: ${group.messages} messages, ${group.funnel.delivered} delivered (${group.funnel.deliveryRate}), ${group.funnel.read} read (${group.funnel.readRate}), ${group.funnel.failed} failed, delivered -> read p50 ${group.latency.deliveredToRead.p50Ms}ms, peak ${group.throughput.peakMessagesPerBucket}/${finalMetrics.throughput.bucket.size}`);
+      if (group.groups) printGroups(group.groups, indent + '  ');
+    });
+    printGroups(finalMetrics.bizData.groups, '  ');
+  }
+
+  if (recipients.abnormal.length) {
+    lines.push(`\nRecipients With Abnormal Volume (more than ${recipients.volumeLimit} messages):`);
+    recipients.abnormal.slice(0, 10).forEach(recipient => lines.push(`  ${recipient.recipient}: ${recipient.messages} messages, read rate ${recipient.readRate}`));
+  }
+
+  if (duplicates.msgIds.length) {
+    lines.push('\nmsg_ids Sent As Several wamids:');
+    duplicates.msgIds.slice(0, 10).forEach(duplicate => lines.push(`  ${duplicate.msgId}: ${duplicate.wamids.join(', ')}`));
+  }
+
+  if (dataQuality.issues) {
+    lines.push('\nData Quality Issues:');
+    dataQuality.checks.filter(check => check.count).forEach(check => {
+      lines.push(`  ${check.label}: ${check.count}`);
+      check.samples.slice(0, 3).forEach(sample => lines.push(`    ${sample.source}${sample.line ? ':' + sample.line : ''} ${sample.reason}`));
+    });
+  }
+
+  if (idleGaps.length) {
+    lines.push(`\nIdle Gaps${scope} (no log lines for ${finalMetrics.throughput.idleGapThreshold} or more, potential outages): ${idleGaps.length}`);
+    idleGaps.slice(0, 10).forEach(gap => lines.push(`  ${gap.from} -> ${gap.to} (${gap.duration})`));
+  }
+
+  const { anomalies } = finalMetrics.throughput;
+  if (anomalies.length) {
+    lines.push(`\nThroughput Anomalies: ${anomalies.length} (${anomalies.filter(anomaly => anomaly.severity === 'critical').length} critical)`);
+    anomalies.slice(0, 10).forEach(anomaly => lines.push(`  [${anomaly.severity}] ${describeAnomaly(anomaly)}`));
+  }
+
+  if (failures.length) {
+    lines.push('\nFailure Reasons:');
+    failures.forEach(failure => lines.push(`  ${failure.code} ${failure.title}: ${failure.count}`));
+  }
+
+  if (finalMetrics.errorCount) {
+    lines.push(`\nErrors detected${scope}: ${finalMetrics.errorCount}`);
+  }
+
+  if (finalMetrics.issueClusters.length) {
+    lines.push(`\nTop Error/Warning Clusters (${finalMetrics.issueClusters.length} total)${scope}:`);
+    finalMetrics.issueClusters.slice(0, 10).forEach(cluster => {
+      lines.push(`  [${cluster.kind}${cluster.inferred ? ', in ' + Object.keys(cluster.levels).join('/') : ''}] ${cluster.count}x ${cluster.logger}: ${cluster.template}`);
+    });
+  }
+
+  return lines.join('\n');
+}
+
+// Function to render the throughput intervals, WABA distribution, error, logger, thread and trace tables as CSV, one file per table
+function renderCsvTables(finalMetrics) {
+  const { throughput, wabaNumbers, cacheMetrics, processing } = finalMetrics;
+  // Columns counting lines of every WABA number say so in their header when --waba is on
+  const scoped = column => column + wabaScopeNote(finalMetrics);
+  const issues = [
+    ...finalMetrics.errors.map(error => ({ kind: 'error', ...error })),
+    ...finalMetrics.warnings.map(warning => ({ kind: 'warning', ...warning }))
+  ];
+
+  return {
+    throughput: csvTable(
+      ['timeWindow', 'start', scoped('lines'), 'messages', 'stores', 'cacheHits', 'jobs', scoped('errors')],
+      throughput.intervals.map(interval => [interval.timeWindow, interval.start, interval.lines, interval.messages, interval.stores, interval.cacheHits, interval.jobs, interval.errors])
+    ),
+    'waba-numbers': csvTable(
+      ['wabaNumber', 'messages', 'percentOfTotal', 'uniqueMessageIds', 'uniqueWamids', 'cacheHits', 'processingP50Ms', 'processingP95Ms'],
+      Object.entries(wabaNumbers.messageDistribution).map(([wabaNumber, data]) => [
+        wabaNumber, data.messages, data.percentOfTotal, data.uniqueMessageIds, data.uniqueWamids, cacheMetrics.byWabaNumber[wabaNumber] || 0,
+        processing.byWabaNumber[wabaNumber] ? processing.byWabaNumber[wabaNumber].p50Ms : null,
+        processing.byWabaNumber[wabaNumber] ? processing.byWabaNumber[wabaNumber].p95Ms : null
+      ])
+    ),
+    errors: csvTable(
+      ['timestamp', 'kind', scoped('message')],
+      sortByTimestamp(issues).map(issue => [issue.timestamp, issue.kind, issue.message])
+    ),
+    'issue-clusters': csvTable(
+      ['kind', 'inferred', 'logger', 'template', scoped('count'), 'firstSeen', 'lastSeen'],
+      finalMetrics.issueClusters.map(cluster => [cluster.kind, cluster.inferred, cluster.logger, cluster.template, cluster.count, cluster.firstSeen, cluster.lastSeen])
+    ),
+    loggers: csvTable(
+      ['logger', scoped('lines'), 'share', scoped('errors'), scoped('warnings')],
+      finalMetrics.loggers.map(logger => [logger.logger, logger.lines, logger.share, logger.errors, logger.warnings])
+    ),
+    threads: csvTable(
+      ['thread', scoped('lines'), 'share', scoped('errors'), scoped('warnings')],
+      finalMetrics.threads.map(thread => [thread.thread, thread.lines, thread.share, thread.errors, thread.warnings])
+    ),
+    'slowest-traces': csvTable(
+      ['traceId', 'start', 'end', 'durationMs', scoped('lines'), scoped('errors'), scoped('warnings'), 'loggers', 'firstMessage', 'firstError'],
+      finalMetrics.traces.slowest.map(trace => [trace.traceId, trace.start, trace.end, trace.durationMs, trace.lines, trace.errors, trace.warnings, trace.loggers.join(' '), trace.firstMessage, trace.firstError])
+    )
+  };
+}
+
+// Function to render rows as CSV with a header line
+function csvTable(header, rows) {
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+// Function to quote a CSV cell holding a comma, quote or line break
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Function to render a Markdown summary for incident tickets and pull requests
+function renderMarkdownSummary(finalMetrics) {
+  // Table cells stay on one line; log text goes in code spans so placeholders like <phone> survive
+  const cell = value => String(value).replace(/\s+/g, ' ').replace(/\|/g, '\\|').replace(/</g, '&lt;');
+  const code = value => '`' + String(value).replace(/\s+/g, ' ').replace(/`/g, '\'').replace(/\|/g, '\\|') + '`';
+  const table = (header, rows) => [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => ' --- ').join('|')}|`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ];
+  const { messages, statuses, processing, throughput, dataQuality, memory } = finalMetrics;
+  const { funnel, latency, failures } = statuses;
+  const scope = wabaScopeNote(finalMetrics);
+
+  const lines = [
+    '# WhatsApp Message Log Summary',
+    '',
+    `- **Period:** ${finalMetrics.startTime} -> ${finalMetrics.endTime} (${finalMetrics.duration.minutes} min)`,
+    `- **Sources:** ${finalMetrics.sources.map(source => cell(source.source)).join(', ')}`,
+    `- **Filters:** ${cell(formatFilters(finalMetrics.filters))}`
+  ];
+  if (memory.lowMemory) {
+    lines.push(`- **Low-memory mode:** ${memory.approximate.join(', ')} are estimates or samples`);
+  }
+
+  lines.push('', '## Key Metrics', '', ...table(['Metric', 'Value'], [
+    ['Messages', `${messages.total} (${messages.perSecond}/sec)`],
+    ['Peak Throughput', `${throughput.peakMessagesPerMinute} messages/min${throughput.peakInterval ? ` at ${throughput.peakInterval}` : ''}`],
+    ['Success Rate', messages.successRate],
+    ['Delivered', `${funnel.delivered} of ${funnel.sent} sent (${funnel.deliveryRate})`],
+    ['Read', `${funnel.read} (${funnel.readRate} of delivered)`],
+    ['Failed', `${funnel.failed} (${funnel.failureRate})`],
+    ['Sent -> Delivered p50/p95', `${latency.sentToDelivered.p50Ms}/${latency.sentToDelivered.p95Ms}ms`],
+    ['Delivered -> Read p50/p95', `${latency.deliveredToRead.p50Ms}/${latency.deliveredToRead.p95Ms}ms`],
+    ['Processing p50/p95/p99', `${processing.p50TimeMs}/${processing.p95TimeMs}/${processing.p99TimeMs}ms`],
+    ['Never Stored', processing.orphans.count],
+    [`Errors${scope}`, finalMetrics.errorCount],
+    [`Warnings${scope}`, finalMetrics.warningCount],
+    ['Data Quality Issues', `${dataQuality.issues} (${dataQuality.issueRate} of lines)`]
+  ]));
+
+  const wabaRows = Object.entries(finalMetrics.wabaNumbers.messageDistribution).sort(([, a], [, b]) => b.messages - a.messages);
+  if (wabaRows.length) {
+    lines.push('', `## WABA Numbers (top ${Math.min(10, wabaRows.length)} of ${wabaRows.length})`, '',
+      ...table(['WABA Number', 'Messages', 'Share'], wabaRows.slice(0, 10).map(([wabaNumber, data]) => [cell(wabaNumber), data.messages, data.percentOfTotal])));
+  }
+
+  if (throughput.anomalies.length) {
+    lines.push('', `## Throughput Anomalies (${throughput.anomalies.length})`, '',
+      ...table(['Severity', 'Time Window', 'Series', 'Kind', 'Expected', 'Observed'], throughput.anomalies.slice(0, 20).map(anomaly => [
+        anomaly.severity,
+        anomaly.until !== anomaly.timeWindow ? `${anomaly.timeWindow} -> ${anomaly.until}` : anomaly.timeWindow,
+        anomaly.series === 'waba' ? `WABA ${anomaly.wabaNumber}` : anomaly.series,
+        anomaly.kind,
+        anomaly.expected,
+        anomaly.observed
+      ])));
+  }
+
+  if (failures.length) {
+    lines.push('', '## Failure Reasons', '',
+      ...table(['Code', 'Title', 'Count'], failures.map(failure => [failure.code, cell(failure.title), failure.count])));
+  }
+
+  if (finalMetrics.issueClusters.length) {
+    lines.push('', `## Top Error/Warning Clusters (${finalMetrics.issueClusters.length} total)${scope}`, '',
+      ...table(['Kind', 'Count', 'Logger', 'Template'], finalMetrics.issueClusters.slice(0, 10).map(cluster => [
+        cluster.kind + (cluster.inferred ? ' (inferred)' : ''), cluster.count, code(cluster.logger), code(cluster.template)
+      ])));
+  }
+
+  if (finalMetrics.loggers.length) {
+    lines.push('', `## Top Loggers (${Math.min(10, finalMetrics.loggers.length)} of ${finalMetrics.loggers.length})${scope}`, '',
+      ...table(['Logger', 'Lines', 'Share', 'Errors', 'Warnings'], finalMetrics.loggers.slice(0, 10).map(logger => [
+        code(logger.logger), logger.lines, logger.share, logger.errors, logger.warnings
+      ])));
+  }
+
+  const { traces } = finalMetrics;
+  if (traces.count) {
+    lines.push('', `## Slowest Traces (${traces.count} traces, ${traces.withErrors} with errors)${scope}`, '',
+      ...table(['Trace', 'Duration', 'Lines', 'Errors', 'Start', 'First Message'], traces.slowest.slice(0, 10).map(trace => [
+        code(trace.traceId), `${trace.durationMs}ms`, trace.lines, trace.errors, trace.start, code((trace.firstError || trace.firstMessage).slice(0, 100))
+      ])));
+  }
+
+  if (throughput.idleGaps.length) {
+    lines.push('', `## Idle Gaps (${throughput.idleGapThreshold} or more without log lines)${scope}`, '',
+      ...table(['From', 'To', 'Duration'], throughput.idleGaps.slice(0, 10).map(gap => [gap.from, gap.to, gap.duration])));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to render one normalized event per status callback and store, in log time order, as NDJSON
+function renderMessageEvents(finalMetrics, messageDetails = []) {
+  const events = [];
+  messageDetails.forEach(message => {
+    const ids = { wamid: message.wamid, msgId: message.msgId, wabaNumber: message.wabaNumber, recipient: message.recipient };
+    message.timeline.forEach(callback => {
+      events.push({ event: 'status', ...ids, status: callback.status, at: callback.at, loggedAt: callback.loggedAt, errors: callback.errors });
+    });
+    if (message.storedAt) {
+      events.push({ event: 'stored', ...ids, status: 'stored', at: message.storedAt, loggedAt: message.storedAt, processingTimeMs: message.processingTimeMs });
+    }
+  });
+
+  // ISO timestamps sort as strings; the sort is stable, so one message's events keep their order
+  events.sort((a, b) => a.loggedAt < b.loggedAt ? -1 : a.loggedAt > b.loggedAt ? 1 : 0);
+  return events.map(event => JSON.stringify(event) + '\n').join('');
+}
+
+// Function to run follow mode: tail the log and redraw the dashboard until stopped
+function startFollowMode(config, analyzer) {
+  const tailTimer = followLog(config.logFile, line => analyzer.ingest(line, config.logFile), () => analyzer.flush());
+  const dashboardTimer = setInterval(() => printDashboard(config, analyzer), config.refreshSeconds * 1000);
+
+  // Write the regular reports and check alerts for everything seen so far on the way out
+  const stop = async () => {
+    clearInterval(tailTimer);
+    clearInterval(dashboardTimer);
+    console.log('');
+
+    let exitCode = 0;
+    if (analyzer.hasData()) {
+      const finalMetrics = analyzer.finalize();
+      writeReports(finalMetrics, { formats: config.outputFormats, outputDir: config.outputDir, outputFiles: config.outputFiles, onInfo: message => logInfo(config, message),
+        messageDetails: () => analyzer.messageDetails() });
+      recordHistory(config, finalMetrics);
+      if (config.alertRules.length) exitCode = await runAlerts(config, finalMetrics);
+      exitCode = Math.max(exitCode, checkDataQuality(config, finalMetrics));
+    }
+    process.exit(exitCode);
+  };
+  process.on('SIGINT', stop);
+  process.on('SIGTERM', stop);
+}
+
+// Function to tail a file, calling onLine for each complete line and onBatch after each read that found
+// some; the file stays open, so when it is rotated the rest of the old file is read before the new one
+function followLog(file, onLine, onBatch = () => {}) {
+  const buffer = Buffer.alloc(64 * 1024);
+  let fd = null;
+  let position = 0;
+  let partial = Buffer.alloc(0);
+
+  // Read the open file from position to its current end, returning the number of bytes read
+  const drain = () => {
+    const { size } = fs.fstatSync(fd);
+    // A smaller size means the file was truncated in place
+    if (size < position) {
+      position = 0;
+      partial = Buffer.alloc(0);
+    }
+    const from = position;
+    while (position < size) {
+      const read = fs.readSync(fd, buffer, 0, Math.min(buffer.length, size - position), position);
+      if (!read) break;
+      position += read;
+      // Hold back a trailing partial line until the writer finishes it
+      const data = Buffer.concat([partial, buffer.subarray(0, read)]);
+      const lastNewline = data.lastIndexOf(10);
+      data.subarray(0, lastNewline + 1).toString('utf8').split(/\r?\n/)
+        .forEach(line => line && onLine(line));
+      partial = data.subarray(lastNewline + 1);
+    }
+    return position - from;
+  };
+
+  const readNew = () => {
+    let stats = null;
+    try {
+      stats = fs.statSync(file);
+    } catch (err) {
+      // The file can briefly disappear while it is being rotated; the old one is still open
+    }
+
+    let read = 0;
+    try {
+      // A new inode means the file was rotated: finish the old one, including a last line its writer
+      // never ended, before opening the new one
+      if (fd !== null && stats && stats.ino !== fs.fstatSync(fd).ino) {
+        read += drain() + partial.length;
+        if (partial.length) onLine(partial.toString('utf8').replace(/\r$/, ''));
+        fs.closeSync(fd);
+        fd = null;
+        position = 0;
+        partial = Buffer.alloc(0);
+      }
+      if (fd === null && stats) fd = fs.openSync(file, 'r');
+      if (fd !== null) read += drain();
+    } catch (err) {
+      console.error(`Error reading ${file}: ${err.message}`);
+    }
+
+    // Entries still waiting for stack trace lines are counted once the writer pauses
+    if (read) onBatch();
+  };
+
+  readNew();
+  return setInterval(readNew, followPollMs);
+}
+
+// Function to build the zero-filled bucket series with per-bucket stats and idle gaps
+function calculateThroughput(analyzer) {
+  const { metrics, bucketing } = analyzer;
+  const columns = ['lines', 'messages', 'stores', 'cacheHits', 'jobs', 'errors'];
+
+  // Every bucket from the first line to the last, so quiet stretches show up as zeros
+  const buckets = { ...metrics.timeIntervals };
+  const spanBuckets = Math.floor((metrics.endTime.getTime() - metrics.startTime.getTime()) / bucketing.ms) + 1;
+  const zeroFilled = spanBuckets <= maxFilledBuckets;
+  if (zeroFilled) {
+    for (let time = metrics.startTime.getTime(); time <= metrics.endTime.getTime();) {
+      const { key, start } = bucketFor(bucketing, time);
+      if (!buckets[key]) {
+        buckets[key] = { start, lines: 0, messages: 0, cacheHits: 0, jobs: 0, stores: 0, errors: 0 };
+      }
+      time = start + bucketing.ms;
+    }
+  } else {
+    analyzer.onWarning(`Throughput spans ${spanBuckets} buckets of ${bucketing.size} (more than ${maxFilledBuckets}); ` +
+      'only buckets with lines are listed, use a larger --bucket or --since/--until');
+  }
+  const intervals = Object.entries(buckets)
+    .sort(([, a], [, b]) => a.start - b.start)
+    .map(([key, bucket]) => ({
+      timeWindow: key,
+      start: new Date(bucket.start).toISOString(),
+      lines: bucket.lines,
+      messages: bucket.messages,
+      cacheHits: bucket.cacheHits,
+      jobs: bucket.jobs,
+      stores: bucket.stores,
+      errors: bucket.errors
+    }));
+
+  // Peak, trough and spread per bucket for each column
+  const stats = Object.fromEntries(columns.map(column => {
+    const values = intervals.map(interval => interval[column]);
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    // A loop rather than Math.max(...values), which overflows the stack on long spans
+    const peak = values.reduce((max, value) => value > max ? value : max, -Infinity);
+    const trough = values.reduce((min, value) => value < min ? value : min, Infinity);
+    return [column, {
+      peak,
+      peakAt: intervals[values.indexOf(peak)].timeWindow,
+      trough,
+      troughAt: intervals[values.indexOf(trough)].timeWindow,
+      mean: Number(mean.toFixed(2)),
+      stddev: Number(Math.sqrt(variance).toFixed(2))
+    }];
+  }));
+
+  // Time between the last line of one bucket and the first line of the next non-empty one
+  const idleGaps = [];
+  const active = Object.values(metrics.timeIntervals).sort((a, b) => a.start - b.start);
+  active.slice(1).forEach((bucket, index) => {
+    const gapMs = bucket.firstLineAt - active[index].lastLineAt;
+    if (gapMs >= analyzer.idleGapMs) {
+      idleGaps.push({
+        from: new Date(active[index].lastLineAt).toISOString(),
+        to: new Date(bucket.firstLineAt).toISOString(),
+        durationMs: gapMs,
+        duration: formatDuration(gapMs)
+      });
+    }
+  });
+
+  return {
+    bucket: { size: bucketing.size, ms: bucketing.ms, timeZone: bucketing.timeZone },
+    zeroFilled,
+    // Kept as a per-minute rate whatever the bucket size, so runs stay comparable
+    peakMessagesPerMinute: Number((stats.messages.peak * 60000 / bucketing.ms).toFixed(2)),
+    peakInterval: stats.messages.peak ? stats.messages.peakAt : '',
+    stats,
+    intervals,
+    idleGapThreshold: formatDuration(analyzer.idleGapMs),
+    idleGaps,
+    anomalies: detectAnomalies(intervals, metrics.wabaMessageMap, bucketing.ms, metrics.endTime.getTime()),
+    rollingWindows: calculateRollingWindows(intervals)
+  };
+}
+
+// Function to flag buckets that stray from their rolling median baseline: message spikes and drops,
+// error spikes, per-WABA spikes and drops, and WABA numbers going silent while others keep sending
+function detectAnomalies(intervals, wabaMessageMap, bucketMs, endTime) {
+  const round = value => Number(value.toFixed(2));
+  // The last bucket usually ends before the log does, so its baseline is scaled to the part covered
+  const lastCoverage = intervals.length ? Math.min(1, (endTime - Date.parse(intervals[intervals.length - 1].start)) / bucketMs) : 1;
+
+  // Median and spread of the buckets before this one; the spread is at least the Poisson noise of the median
+  const baselineAt = (values, index) => {
+    const window = values.slice(Math.max(0, index - anomalyWindow), index);
+    if (window.length < anomalyMinHistory) return null;
+    const median = medianOf(window);
+    const mad = medianOf(window.map(value => Math.abs(value - median)));
+    const expected = median * (index === values.length - 1 ? lastCoverage : 1);
+    return { expected, spread: Math.max(1.4826 * mad, Math.sqrt(Math.max(expected, 1))) };
+  };
+
+  // Consecutive anomalous buckets of a series are reported as one anomaly
+  const anomalies = [];
+  const flag = (series, kind, index, expected, observed, score, severity) => {
+    const previous = anomalies[anomalies.length - 1];
+    if (previous && previous.series === series.name && previous.wabaNumber === (series.wabaNumber || null) && previous.kind === kind && previous.lastIndex === index - 1) {
+      previous.until = intervals[index].timeWindow;
+      previous.lastIndex = index;
+      previous.buckets++;
+      previous.expected = round(previous.expected + expected);
+      previous.observed += observed;
+      if (score !== null && Math.abs(score) > Math.abs(previous.score)) previous.score = score;
+      if (severity === 'critical') previous.severity = severity;
+      return;
+    }
+    anomalies.push({
+      series: series.name,
+      wabaNumber: series.wabaNumber || null,
+      kind,
+      timeWindow: intervals[index].timeWindow,
+      until: intervals[index].timeWindow,
+      start: intervals[index].start,
+      buckets: 1,
+      expected: round(expected),
+      observed,
+      score,
+      severity,
+      lastIndex: index
+    });
+  };
+
+  const series = [
+    { name: 'messages', kinds: ['spike', 'drop'], values: intervals.map(interval => interval.messages) },
+    { name: 'errors', kinds: ['spike'], values: intervals.map(interval => interval.errors) },
+    ...Object.entries(wabaMessageMap).sort(([a], [b]) => a.localeCompare(b)).map(([wabaNumber, data]) => ({
+      name: 'waba',
+      wabaNumber,
+      kinds: ['spike', 'drop', 'silent'],
+      values: intervals.map(interval => data.perBucket[interval.timeWindow] || 0)
+    }))
+  ];
+
+  series.forEach(current => {
+    let silence = null;
+    const endSilence = () => {
+      if (silence && silence.expected >= anomalySilenceMissed) {
+        for (let index = silence.from; index <= silence.to; index++) {
+          flag(current, 'silent', index, silence.baselines[index - silence.from], 0, null, silence.expected >= anomalySilenceMissed * 5 ? 'critical' : 'warning');
+        }
+      }
+      silence = null;
+    };
+
+    current.values.forEach((observed, index) => {
+      const baseline = baselineAt(current.values, index);
+      if (!baseline) return;
+
+      // A WABA number with nothing while the others send is silent rather than dropping
+      const othersSending = intervals[index].messages > observed;
+      if (current.kinds.includes('silent') && observed === 0 && othersSending && baseline.expected > 0) {
+        silence = silence || { from: index, expected: 0, baselines: [] };
+        silence.to = index;
+        silence.expected += baseline.expected;
+        silence.baselines.push(baseline.expected);
+        return;
+      }
+      endSilence();
+
+      const score = round((observed - baseline.expected) / baseline.spread);
+      const kind = observed > baseline.expected ? 'spike' : 'drop';
+      if (!current.kinds.includes(kind) || Math.abs(observed - baseline.expected) < anomalyMinChange) return;
+      if (Math.abs(score) >= anomalyThresholds.critical) flag(current, kind, index, baseline.expected, observed, score, 'critical');
+      else if (Math.abs(score) >= anomalyThresholds.warning) flag(current, kind, index, baseline.expected, observed, score, 'warning');
+    });
+    endSilence();
+  });
+
+  return anomalies
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .map(({ lastIndex, ...anomaly }) => anomaly);
+}
+
+// Function to get the median of a list of numbers
+function medianOf(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// Function to describe an anomaly in one line
+function describeAnomaly(anomaly) {
+  const what = anomaly.series === 'waba' ? `WABA ${anomaly.wabaNumber}` : anomaly.series;
+  const when = anomaly.until !== anomaly.timeWindow ? `${anomaly.timeWindow} -> ${anomaly.until}` : anomaly.timeWindow;
+  return `${when} ${what} ${anomaly.kind}: expected ${anomaly.expected}, observed ${anomaly.observed}`;
+}
+
+// Function to sum the bucket counters over the latest rolling windows
+function calculateRollingWindows(intervals) {
+  if (!intervals.length) return [];
+
+  const latest = intervals[intervals.length - 1];
+  const latestStart = Date.parse(latest.start);
+
+  return rollingWindows.map(minutes => {
+    const totals = { messages: 0, cacheHits: 0, jobs: 0, stores: 0 };
+    intervals.filter(interval => latestStart - Date.parse(interval.start) < minutes * 60000).forEach(interval => {
+      Object.keys(totals).forEach(column => {
+        totals[column] += interval[column];
+      });
+    });
+
+    return {
+      window: `${minutes}m`,
+      endingAt: latest.timeWindow,
+      ...totals,
+      messagesPerSecond: (totals.messages / (minutes * 60)).toFixed(2)
+    };
+  });
+}
+
+// Function to redraw the follow mode console dashboard
+function printDashboard(config, analyzer) {
+  const lines = [
+    `Following ${config.logFile} (refresh ${config.refreshSeconds}s, Ctrl+C to stop and write reports)`,
+    `Updated: ${new Date().toLocaleString()}`,
+    `Filters: ${formatFilters(describeFilters(analyzer.filters))}`,
+    ''
+  ];
+
+  if (!analyzer.hasData()) {
+    lines.push('Waiting for log lines...');
+  } else {
+    const finalMetrics = analyzer.finalize();
+    const { funnel } = finalMetrics.statuses;
+
+    lines.push(`Log Time: ${finalMetrics.startTime} -> ${finalMetrics.endTime}`);
+    lines.push(`Messages: ${finalMetrics.messages.total} (${finalMetrics.messages.perSecond}/sec), Success Rate: ${finalMetrics.messages.successRate}`);
+    lines.push(`Status Funnel: ${funnel.sent} sent -> ${funnel.delivered} delivered -> ${funnel.read} read, ${funnel.failed} failed`);
+    lines.push(`Processing Time p50/p95: ${finalMetrics.processing.p50TimeMs}/${finalMetrics.processing.p95TimeMs}ms, Never Stored: ${finalMetrics.processing.orphans.count}`);
+    lines.push(`Errors: ${finalMetrics.errorCount}, Warnings: ${finalMetrics.warningCount}, Data Quality Issues: ${finalMetrics.dataQuality.issues}`);
+    lines.push('');
+    lines.push('Window  Messages  Msg/sec  Stores  Cache Hits  Jobs');
+    finalMetrics.throughput.rollingWindows.forEach(window => {
+      lines.push([
+        window.window.padEnd(6),
+        String(window.messages).padStart(8),
+        window.messagesPerSecond.padStart(7),
+        String(window.stores).padStart(6),
+        String(window.cacheHits).padStart(10),
+        String(window.jobs).padStart(4)
+      ].join('  '));
+    });
+  }
+
+  // Clear the screen and redraw from the top-left corner
+  process.stdout.write('\x1b[2J\x1b[H' + lines.join('\n') + '\n');
+}
+
+// Function to start the HTTP server for serve mode
+function startServer(config, analyzer) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    if (req.method !== 'GET') {
+      res.writeHead(405, { 'Content-Type': 'text/plain', 'Allow': 'GET' });
+      res.end('Method not allowed\n');
+      return;
+    }
+
+    if (!['/', '/api/metrics', '/metrics'].includes(pathname)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not found\n');
+      return;
+    }
+
+    // finalize() needs at least one timestamped line
+    if (!analyzer.hasData()) {
+      res.writeHead(503, { 'Content-Type': 'text/plain' });
+      res.end('No log lines processed yet\n');
+      return;
+    }
+
+    try {
+      const finalMetrics = analyzer.finalize();
+      if (pathname === '/api/metrics') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(finalMetrics, null, 2));
+      } else if (pathname === '/metrics') {
+        res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+        res.end(generatePrometheusMetrics(finalMetrics, analyzer.metrics));
+      } else {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(generateHtmlReport(finalMetrics, analyzer.messageDetails()));
+      }
+    } catch (err) {
+      console.error('Error serving metrics:', err);
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal server error\n');
+    }
+  });
+
+  server.on('error', err => {
+    console.error(`Error starting server: ${err.message}`);
+    process.exit(1);
+  });
+
+  server.listen(config.port, config.host, () => {
+    const address = server.address();
+    logInfo(config, `Serving metrics for ${config.logFiles.join(', ')} at http://${config.host}:${address.port}/ (Prometheus: /metrics, JSON: /api/metrics)`);
+  });
+
+  return server;
+}
+
+// Function to render metrics in the Prometheus text exposition format (histograms need the raw analyzer metrics)
+function generatePrometheusMetrics(finalMetrics, metrics) {
+  const lines = [];
+  const scope = wabaScopeNote(finalMetrics);
+  const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+  const formatLabels = labels => {
+    const entries = Object.entries(labels || {});
+    return entries.length ? `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(',')}}` : '';
+  };
+
+  const metric = (name, type, help, samples) => {
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} ${type}`);
+    samples.forEach(([labels, value]) => lines.push(`${name}${formatLabels(labels)} ${value}`));
+  };
+
+  // Prometheus histograms are cumulative and measured in seconds; durations are a list or a low-memory histogram
+  const histogram = (name, help, durations) => {
+    const counts = latencyBuckets.map(() => 0);
+    let total = 0;
+    let sum = 0;
+    forEachDuration(durations, (value, count) => {
+      latencyBuckets.forEach((upperBound, index) => {
+        if (value <= upperBound) counts[index] += count;
+      });
+      total += count;
+      sum += value * count;
+    });
+    if (!Array.isArray(durations)) sum = durations.sum;
+
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} histogram`);
+    latencyBuckets.forEach((upperBound, index) => lines.push(`${name}_bucket{le="${upperBound / 1000}"} ${counts[index]}`));
+    lines.push(`${name}_bucket{le="+Inf"} ${total}`);
+    lines.push(`${name}_sum ${sum / 1000}`);
+    lines.push(`${name}_count ${total}`);
+  };
+
+  metric('log_metrics_log_lines_total', 'counter', `Log lines by level${scope}.`,
+    Object.entries(finalMetrics.logLevels).map(([level, count]) => [{ level }, count]));
+  metric('log_metrics_logger_lines_total', 'counter', `Log lines by logger and level${scope}.`,
+    finalMetrics.loggers.flatMap(logger => Object.entries(logger.levels).map(([level, count]) => [{ logger: logger.logger, level }, count])));
+  metric('log_metrics_status_callbacks_total', 'counter', 'WhatsApp status callbacks by status.',
+    Object.entries(finalMetrics.statuses.counts).map(([status, count]) => [{ status }, count]));
+  metric('log_metrics_messages', 'gauge', 'Messages by their latest status.',
+    Object.entries(finalMetrics.statuses.current).map(([status, count]) => [{ status }, count]));
+  metric('log_metrics_waba_messages_total', 'counter', 'Messages per WABA number.',
+    Object.entries(finalMetrics.wabaNumbers.messageDistribution).map(([wabaNumber, data]) => [{ waba_number: wabaNumber }, data.messages]));
+  metric('log_metrics_failures_total', 'counter', 'Failed statuses by Meta error code.',
+    finalMetrics.statuses.failures.map(failure => [{ code: failure.code, title: failure.title }, failure.count]));
+  metric('log_metrics_store_operations_total', 'counter', 'Message store operations.', [[null, finalMetrics.storeOperations]]);
+  metric('log_metrics_cache_hits_total', 'counter', 'Cache hits.', [[null, finalMetrics.cacheMetrics.hits]]);
+  metric('log_metrics_completed_jobs_total', 'counter', 'Completed jobs.', [[null, finalMetrics.jobs.total]]);
+  metric('log_metrics_errors_total', 'counter', `Error log lines${scope}.`, [[null, finalMetrics.errorCount]]);
+  metric('log_metrics_warnings_total', 'counter', `Warning log lines${scope}.`, [[null, finalMetrics.warningCount]]);
+  metric('log_metrics_data_quality_issues', 'gauge', 'Problem lines and payloads by data quality check.',
+    finalMetrics.dataQuality.checks.map(check => [{ check: check.check }, check.count]));
+  metric('log_metrics_traces', 'gauge', `Requests seen by trace id${scope}.`, [[null, finalMetrics.traces.count]]);
+  metric('log_metrics_traces_with_errors', 'gauge', `Requests with at least one error line${scope}.`, [[null, finalMetrics.traces.withErrors]]);
+  metric('log_metrics_idle_gaps', 'gauge', `Gaps without log lines at least as long as the idle gap threshold${scope}.`, [[null, finalMetrics.throughput.idleGaps.length]]);
+  metric('log_metrics_throughput_anomalies', 'gauge', 'Throughput anomalies by severity.',
+    ['warning', 'critical'].map(severity => [{ severity }, finalMetrics.throughput.anomalies.filter(anomaly => anomaly.severity === severity).length]));
+  metric('log_metrics_orphaned_messages', 'gauge', 'Messages seen in callbacks but never stored.', [[null, finalMetrics.processing.orphans.count]]);
+  metric('log_metrics_last_log_timestamp_seconds', 'gauge', 'Timestamp of the latest log line.', [[null, new Date(finalMetrics.endTime).getTime() / 1000]]);
+
+  const { sentToDelivered, deliveredToRead } = tallyStates(Object.values(metrics.wamidStates), metrics.lowMemory?.retired);
+  histogram('log_metrics_processing_time_seconds', 'Time from first callback to message store.',
+    metrics.lowMemory ? metrics.lowMemory.processing : metrics.processingTimes.map(item => item.processingTimeMs));
+  histogram('log_metrics_sent_to_delivered_seconds', 'Time from sent to delivered status.', sentToDelivered);
+  histogram('log_metrics_delivered_to_read_seconds', 'Time from delivered to read status.', deliveredToRead);
+
+  return lines.join('\n') + '\n';
+}
+
+// Function to parse an alert rule like "read rate < 60%" into a checkable rule
+function compileAlertRule(rule) {
+  const { expr, severity = 'critical', name } = typeof rule === 'string' ? { expr: rule } : rule || {};
+  if (typeof expr !== 'string') {
+    throw new Error('each rule needs an expression');
+  }
+  if (!alertExitCodes[severity]) {
+    throw new Error(`severity must be one of ${Object.keys(alertExitCodes).join(', ')} (got ${severity})`);
+  }
+
+  const match = expr.match(/^\s*(.+?)\s*(>=|<=|==|!=|>|<)\s*(-?\d+(?:\.\d+)?)\s*%?\s*$/);
+  if (!match) {
+    throw new Error(`"${expr}" is not of the form "<metric> <op> <number>"`);
+  }
+  const [, metricName, operator, threshold] = match;
+
+  // "read rate" and "readRate" name the same metric; dotted paths read the metrics JSON directly
+  let get;
+  if (metricName.includes('.')) {
+    get = finalMetrics => metricName.split('.').reduce((value, key) => value?.[key], finalMetrics);
+  } else {
+    // Names and aliases compare lowercased with spaces, dashes and underscores dropped
+    const normalize = text => text.toLowerCase().replace(/[\s_-]+/g, '');
+    const key = normalize(metricName);
+    const alias = Object.keys(alertAliases).find(candidate => normalize(candidate) === key);
+    const canonical = normalize(alias ? alertAliases[alias] : key);
+    const metric = comparedMetrics.find(candidate => normalize(candidate.name) === canonical);
+    if (!metric) {
+      throw new Error(`unknown metric "${metricName}" in "${expr}"`);
+    }
+    get = metric.get;
+  }
+
+  return { name: name || expr.trim(), expr: expr.trim(), severity, operator, threshold: Number(threshold), get };
+}
+
+// Function to evaluate alert rules, deliver the payload and pick the exit code
+async function runAlerts(config, finalMetrics) {
+  const compare = {
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '==': (a, b) => a === b,
+    '!=': (a, b) => a !== b
+  };
+
+  const results = config.alertRules.map(rule => {
+    const value = parseFloat(rule.get(finalMetrics));
+    // A metric with no value (e.g. no latencies measured) cannot fire
+    const fired = Number.isFinite(value) && compare[rule.operator](value, rule.threshold);
+    return { name: rule.name, expr: rule.expr, severity: rule.severity, value: Number.isFinite(value) ? value : null, fired };
+  });
+  const fired = results.filter(result => result.fired);
+  const status = fired.some(result => result.severity === 'critical') ? 'critical' : fired.length ? 'warning' : 'ok';
+
+  const payload = {
+    generatedAt: new Date().toISOString(),
+    status,
+    sources: config.logFiles,
+    filters: finalMetrics.filters,
+    startTime: finalMetrics.startTime,
+    endTime: finalMetrics.endTime,
+    fired,
+    rules: results
+  };
+
+  if (fired.length) {
+    console.error(`Alerts fired: ${fired.length} of ${results.length} rules (${status})`);
+    fired.forEach(result => console.error(`  [${result.severity}] ${result.name} (value: ${result.value})`));
+  } else {
+    logInfo(config, `Alerts: all ${results.length} rules passed`);
+  }
+
+  if (config.alertFile) {
+    fs.mkdirSync(path.dirname(path.resolve(config.alertFile)), { recursive: true });
+    fs.writeFileSync(config.alertFile, JSON.stringify(payload, null, 2));
+    logInfo(config, `Alert payload saved to: ${config.alertFile}`);
+  }
+
+  if (config.alertWebhook && fired.length) {
+    try {
+      await postJson(config.alertWebhook, payload);
+      logInfo(config, `Alert payload sent to: ${config.alertWebhook}`);
+    } catch (err) {
+      console.error(`Error sending alert webhook: ${err.message}`);
+    }
+  }
+
+  return status === 'ok' ? 0 : alertExitCodes[status];
+}
+
+// Function to POST a JSON body, resolving once the server accepts it
+function postJson(url, body) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const client = url.startsWith('https:') ? https : http;
+    const req = client.request(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) },
+      timeout: 10000
+    }, res => {
+      res.resume();
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        resolve();
+      } else {
+        reject(new Error(`webhook responded with HTTP ${res.statusCode}`));
+      }
+    });
+    req.on('timeout', () => req.destroy(new Error('webhook timed out')));
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+// Function to run compare mode: diff a baseline run against a saved or fresh run
+async function runCompare(config, analyzer) {
+  const { baselineFile, logFiles } = config;
+  if (!fs.existsSync(baselineFile)) {
+    usageError(`Baseline not found: ${baselineFile}`);
+  }
+  const baseline = loadMetricsFile(baselineFile);
+  if (!baseline) {
+    usageError(`${baselineFile} is not a log-metrics.json file`);
+  }
+
+  // The current run is either another metrics file or logs to analyze now
+  let current = logFiles.length === 1 && logFiles[0] !== '-' ? loadMetricsFile(logFiles[0]) : null;
+  if (!current) {
+    await readLogFiles(analyzer, logFiles, parallelOptions(config));
+    requireData(config, analyzer);
+    current = analyzer.finalize();
+  }
+
+  writeComparison(config, compareRuns(baseline, current, baselineFile, logFiles.join(', '), config.thresholds));
+}
+
+// Function to load a log-metrics.json file, or null if the file is something else
+function loadMetricsFile(file) {
+  if (!file.endsWith('.json')) return null;
+
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return data && data.startTime && data.messages ? data : null;
+  } catch (err) {
+    // JSON-lines logs also end in .json but are not a single document
+    return null;
+  }
+}
+
+// Function to diff two metrics structures against the thresholds
+function compareRuns(baseline, current, baselineSource, currentSource, thresholds = { default: 20, wabaShare: 10 }) {
+  const toNumber = value => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+  const round = value => Number(value.toFixed(2));
+
+  const metricDiffs = comparedMetrics.map(metric => {
+    const before = toNumber(metric.get(baseline));
+    const after = toNumber(metric.get(current));
+    const threshold = thresholds[metric.name] !== undefined ? thresholds[metric.name] : thresholds.default;
+    const diff = { name: metric.name, label: metric.label, better: metric.better, baseline: before, current: after, threshold };
+
+    if (before === null || after === null) {
+      return { ...diff, delta: null, percentChange: null, status: 'n/a' };
+    }
+
+    const delta = after - before;
+    // A change from zero has no percentage and always counts as beyond the threshold
+    const percentChange = before !== 0 ? (delta / before) * 100 : null;
+    const beyondThreshold = percentChange === null || Math.abs(percentChange) > threshold;
+    const worse = metric.better === 'higher' ? delta < 0 : delta > 0;
+
+    return {
+      ...diff,
+      delta: round(delta),
+      percentChange: percentChange === null ? null : percentChange.toFixed(2) + '%',
+      status: delta === 0 || !beyondThreshold ? 'unchanged' : worse ? 'regression' : 'improvement'
+    };
+  });
+
+  // Share of total messages per WABA number, in percentage points
+  const baselineWabas = baseline.wabaNumbers?.messageDistribution || {};
+  const currentWabas = current.wabaNumbers?.messageDistribution || {};
+  const wabaShifts = [...new Set([...Object.keys(baselineWabas), ...Object.keys(currentWabas)])].sort().map(wabaNumber => {
+    const before = baselineWabas[wabaNumber];
+    const after = currentWabas[wabaNumber];
+    const baselineShare = before ? parseFloat(before.percentOfTotal) || 0 : 0;
+    const currentShare = after ? parseFloat(after.percentOfTotal) || 0 : 0;
+    const shift = round(currentShare - baselineShare);
+
+    let status = 'unchanged';
+    if (!before) status = 'new';
+    else if (!after) status = 'missing';
+    else if (Math.abs(shift) > thresholds.wabaShare) status = 'shifted';
+
+    return {
+      wabaNumber,
+      baselineMessages: before ? before.messages : 0,
+      currentMessages: after ? after.messages : 0,
+      baselineShare: baselineShare.toFixed(2) + '%',
+      currentShare: currentShare.toFixed(2) + '%',
+      shiftPoints: shift,
+      status
+    };
+  });
+
+  const describeRun = (run, source) => ({
+    source,
+    startTime: run.startTime,
+    endTime: run.endTime,
+    filters: run.filters || {}
+  });
+  // Runs cover different times, so throughput is lined up by time since each run's first bucket
+  const intervalMessages = run => (run.throughput?.intervals || []).map((interval, index) => ({
+    timeWindow: interval.timeWindow,
+    offset: `+${formatDuration(index * (run.throughput.bucket?.ms || 60000))}`,
+    messages: interval.messages
+  }));
+
+  return {
+    generatedAt: new Date().toISOString(),
+    baseline: describeRun(baseline, baselineSource),
+    current: describeRun(current, currentSource),
+    thresholds,
+    summary: {
+      regressions: metricDiffs.filter(diff => diff.status === 'regression').length,
+      improvements: metricDiffs.filter(diff => diff.status === 'improvement').length,
+      wabaShifts: wabaShifts.filter(shift => shift.status !== 'unchanged').length
+    },
+    metrics: metricDiffs,
+    wabaShifts,
+    throughput: {
+      baseline: intervalMessages(baseline),
+      current: intervalMessages(current)
+    }
+  };
+}
+
+// Function to check whether a compare or history run should write a format
+function selectsFormat(config, format) {
+  return config.outputFormats.includes(format) || config.outputFormats.includes('all');
+}
+
+// Function to pick the file a compare or history report goes to, creating its directory
+function reportFileFor(config, format, fileName) {
+  const outputFile = config.outputFiles[format] || path.join(config.outputDir, fileName);
+  fs.mkdirSync(path.dirname(outputFile), { recursive: true });
+  return outputFile;
+}
+
+// Function to write the comparison based on output format
+function writeComparison(config, comparison) {
+  if (selectsFormat(config, 'json')) {
+    const outputFile = reportFileFor(config, 'json', 'log-metrics-compare.json');
+    fs.writeFileSync(outputFile, JSON.stringify(comparison, null, 2));
+    logInfo(config, `JSON comparison saved to: ${outputFile}`);
+  }
+
+  if (selectsFormat(config, 'console')) {
+    const format = value => value === null ? 'N/A' : String(value);
+    const rows = comparison.metrics.map(diff => [
+      diff.label,
+      format(diff.baseline),
+      format(diff.current),
+      diff.delta === null ? 'N/A' : (diff.delta > 0 ? '+' : '') + diff.delta,
+      diff.percentChange === null ? (diff.delta ? 'new' : 'N/A') : (parseFloat(diff.percentChange) > 0 ? '+' : '') + diff.percentChange,
+      diff.status === 'regression' ? 'REGRESSION' : diff.status
+    ]);
+    const header = ['Metric', 'Baseline', 'Current', 'Delta', 'Change', 'Status'];
+    const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+    const formatRow = row => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ');
+
+    console.log('Run Comparison:');
+    console.log(`Baseline: ${comparison.baseline.source} (${comparison.baseline.startTime} -> ${comparison.baseline.endTime})`);
+    console.log(`Current: ${comparison.current.source} (${comparison.current.startTime} -> ${comparison.current.endTime})`);
+    console.log(`Regressions: ${comparison.summary.regressions}, Improvements: ${comparison.summary.improvements}, WABA shifts: ${comparison.summary.wabaShifts}`);
+    console.log('');
+    console.log(formatRow(header));
+    rows.forEach(row => console.log(formatRow(row)));
+
+    const changedWabas = comparison.wabaShifts.filter(shift => shift.status !== 'unchanged');
+    if (changedWabas.length) {
+      console.log(`\nWABA Distribution Shifts (beyond ${comparison.thresholds.wabaShare} points):`);
+      changedWabas.forEach(shift => console.log(`  ${shift.wabaNumber}: ${shift.baselineShare} -> ${shift.currentShare} (${shift.status})`));
+    }
+  }
+
+  if (selectsFormat(config, 'html')) {
+    const outputFile = reportFileFor(config, 'html', 'log-metrics-compare.html');
+    fs.writeFileSync(outputFile, generateCompareHtmlReport(comparison));
+    logInfo(config, `HTML comparison generated at: ${outputFile}`);
+  }
+}
+
+// Function to record a run in the history store when --history-dir is set
+function recordHistory(config, finalMetrics) {
+  if (!config.historyDir) return;
+  const historyFile = appendHistory(config.historyDir, createHistoryRecord(finalMetrics));
+  logInfo(config, `Run recorded in history: ${historyFile}`);
+}
+
+// Function to reduce final metrics to the figures the history store keeps per run
+function createHistoryRecord(finalMetrics, recordedAt = new Date()) {
+  const toNumber = value => {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+  };
+
+  // A run is filed under the day most of its lines fall on, in the bucket timezone
+  const linesByDay = {};
+  finalMetrics.throughput.intervals.forEach(interval => {
+    const day = interval.timeWindow.substring(0, 10);
+    linesByDay[day] = (linesByDay[day] || 0) + interval.lines;
+  });
+  const day = Object.keys(linesByDay).sort((a, b) => linesByDay[b] - linesByDay[a])[0];
+  const { sent, delivered, read, failed } = finalMetrics.statuses.funnel;
+
+  return {
+    recordedAt: recordedAt.toISOString(),
+    day,
+    timeZone: finalMetrics.throughput.bucket.timeZone,
+    sources: finalMetrics.sources.map(source => source.source === 'stdin' ? 'stdin' : path.resolve(source.source)).sort(),
+    filters: finalMetrics.filters,
+    startTime: finalMetrics.startTime,
+    endTime: finalMetrics.endTime,
+    messages: finalMetrics.messages.total,
+    trackedMessages: Object.values(finalMetrics.statuses.current).reduce((sum, count) => sum + count, 0),
+    funnel: { sent, delivered, read, failed },
+    peakMessagesPerMinute: finalMetrics.throughput.peakMessagesPerMinute,
+    errors: finalMetrics.errorCount,
+    warnings: finalMetrics.warningCount,
+    neverStored: finalMetrics.processing.orphans.count,
+    processingP95: toNumber(finalMetrics.processing.p95TimeMs),
+    wabaMessages: Object.fromEntries(
+      Object.entries(finalMetrics.wabaNumbers.messageDistribution).map(([wabaNumber, data]) => [wabaNumber, data.messages])
+    ),
+    issueClusters: finalMetrics.issueClusters.slice(0, historyClusterLimit).map(cluster => ({
+      kind: cluster.kind,
+      inferred: cluster.inferred,
+      logger: cluster.logger,
+      template: cluster.template,
+      count: cluster.count
+    }))
+  };
+}
+
+// Function to append a run record to the history store, returning the store's path
+function appendHistory(historyDir, record) {
+  fs.mkdirSync(historyDir, { recursive: true });
+  const historyFile = path.join(historyDir, historyFileName);
+  fs.appendFileSync(historyFile, JSON.stringify(record) + '\n');
+  return historyFile;
+}
+
+// Function to read the history store, skipping lines that are not run records
+function loadHistory(historyFile, onWarning = () => {}) {
+  const records = [];
+  fs.readFileSync(historyFile, 'utf8').split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    try {
+      const record = JSON.parse(line);
+      if (!record || !record.day || !record.recordedAt || !Array.isArray(record.sources)) {
+        throw new Error('not a run record');
+      }
+      records.push(record);
+    } catch (err) {
+      onWarning(`Skipping line ${index + 1} of ${historyFile}: ${err.message}`);
+    }
+  });
+  return records;
+}
+
+// Function to report trends from the history store
+function runHistory(config) {
+  const historyFile = path.join(config.historyDir, historyFileName);
+  if (!fs.existsSync(historyFile)) {
+    usageError(`No run history at ${historyFile}; record runs with --history-dir`);
+  }
+
+  const trends = calculateHistoryTrends(loadHistory(historyFile, message => logWarning(config, message)), config.filters);
+  if (!trends.days.length) {
+    usageError(`No runs in ${historyFile} match the filters (${formatFilters(trends.filters)})`);
+  }
+  writeHistory(config, { historyFile, ...trends });
+}
+
+// Function to key run filters, leaving out the time range, which differs from run to run
+function historyFilterKey(active) {
+  const { since, until, ...rest } = active;
+  return JSON.stringify(Object.keys(rest).sort().map(name => [name, Array.isArray(rest[name]) ? [...rest[name]].sort() : rest[name]]));
+}
+
+// Function to sum recorded runs into daily figures with day-over-day and week-over-week changes
+function calculateHistoryTrends(records, filters) {
+  const active = describeFilters(filters);
+  const filterKey = historyFilterKey(active);
+
+  // Only runs recorded with the same filters are comparable; --since and --until pick the days
+  const matching = records.filter(record =>
+    historyFilterKey(record.filters || {}) === filterKey &&
+    (!filters.since || new Date(record.endTime) >= filters.since) &&
+    (!filters.until || new Date(record.startTime) < filters.until));
+
+  // The latest run per day and set of sources, so analyzing the same logs again does not count twice
+  const latestRuns = {};
+  matching.forEach(record => {
+    const runKey = JSON.stringify([record.day, record.sources]);
+    if (!latestRuns[runKey] || latestRuns[runKey].recordedAt <= record.recordedAt) {
+      latestRuns[runKey] = record;
+    }
+  });
+  const runsByDay = {};
+  Object.values(latestRuns).forEach(record => {
+    runsByDay[record.day] = runsByDay[record.day] || [];
+    runsByDay[record.day].push(record);
+  });
+
+  const days = Object.keys(runsByDay).sort().map(day => summarizeHistoryDay(day, runsByDay[day]));
+  const byDay = Object.fromEntries(days.map(summary => [summary.day, summary]));
+  days.forEach(summary => {
+    const previousDay = byDay[shiftDay(summary.day, -1)];
+    const previousWeek = byDay[shiftDay(summary.day, -7)];
+    summary.trends = Object.fromEntries(historyMetrics.map(metric => [metric.name, {
+      dayOverDay: trendChange(metric, summary, previousDay),
+      weekOverWeek: trendChange(metric, summary, previousWeek)
+    }]));
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    filters: active,
+    runs: matching.length,
+    days,
+    latest: days.length ? describeLatestDay(days[days.length - 1], byDay) : null
+  };
+}
+
+// Function to add the runs filed under one day into that day's figures
+function summarizeHistoryDay(day, runs) {
+  const round = value => Number(value.toFixed(2));
+  const sum = read => runs.reduce((total, run) => total + (read(run) || 0), 0);
+  const highest = read => {
+    const values = runs.map(read).filter(value => value !== null && value !== undefined);
+    return values.length ? Math.max(...values) : null;
+  };
+  const rate = (part, whole) => whole > 0 ? round((part / whole) * 100) : null;
+
+  const funnel = Object.fromEntries(['sent', 'delivered', 'read', 'failed'].map(stage => [stage, sum(run => run.funnel?.[stage])]));
+  const messages = sum(run => run.messages);
+  const startTime = runs.map(run => run.startTime).sort()[0];
+  const endTime = runs.map(run => run.endTime).sort()[runs.length - 1];
+  const spanSeconds = (new Date(endTime) - new Date(startTime)) / 1000;
+
+  const wabaMessages = {};
+  const clusters = {};
+  runs.forEach(run => {
+    Object.entries(run.wabaMessages || {}).forEach(([wabaNumber, count]) => {
+      wabaMessages[wabaNumber] = (wabaMessages[wabaNumber] || 0) + count;
+    });
+    (run.issueClusters || []).forEach(cluster => {
+      const key = historyClusterKey(cluster);
+      clusters[key] = clusters[key] || { ...cluster, count: 0 };
+      clusters[key].count += cluster.count;
+    });
+  });
+
+  return {
+    day,
+    runs: runs.length,
+    sources: [...new Set(runs.flatMap(run => run.sources))].sort(),
+    startTime,
+    endTime,
+    messages,
+    messagesPerSecond: spanSeconds > 0 ? round(messages / spanSeconds) : null,
+    peakMessagesPerMinute: highest(run => run.peakMessagesPerMinute),
+    deliveryRate: rate(funnel.delivered, funnel.sent),
+    readRate: rate(funnel.read, funnel.delivered),
+    failureRate: rate(funnel.failed, sum(run => run.trackedMessages)),
+    funnel,
+    errors: sum(run => run.errors),
+    warnings: sum(run => run.warnings),
+    neverStored: sum(run => run.neverStored),
+    processingP95: highest(run => run.processingP95),
+    wabaMessages,
+    issueClusters: Object.values(clusters).sort((a, b) => b.count - a.count)
+  };
+}
+
+// Function to key an error or warning cluster across runs
+function historyClusterKey(cluster) {
+  return JSON.stringify([cluster.kind, cluster.logger, cluster.template]);
+}
+
+// Function to move a YYYY-MM-DD day by a number of calendar days
+function shiftDay(day, days) {
+  return new Date(Date.parse(`${day}T00:00:00Z`) + days * 86400000).toISOString().substring(0, 10);
+}
+
+// Function to get the percent change between two counts, or null without a non-zero previous count
+function percentChange(current, previous) {
+  if (current === null || current === undefined || !previous) return null;
+  return Number((((current - previous) / previous) * 100).toFixed(2));
+}
+
+// Function to get a metric's change against an earlier day: percent, or percentage points for rates
+function trendChange(metric, current, previous) {
+  if (!previous) return null;
+  if (!metric.rate) return percentChange(current[metric.name], previous[metric.name]);
+  if (current[metric.name] === null || previous[metric.name] === null) return null;
+  return Number((current[metric.name] - previous[metric.name]).toFixed(2));
+}
+
+// Function to compare the latest day's metrics, WABA volumes and issue clusters with the day and week before
+function describeLatestDay(latest, byDay) {
+  const previousDay = byDay[shiftDay(latest.day, -1)] || null;
+  const previousWeek = byDay[shiftDay(latest.day, -7)] || null;
+
+  const wabaNumbers = [...new Set([latest, previousDay, previousWeek].filter(Boolean).flatMap(day => Object.keys(day.wabaMessages)))]
+    .map(wabaNumber => {
+      const messages = latest.wabaMessages[wabaNumber] || 0;
+      const dayBefore = previousDay ? previousDay.wabaMessages[wabaNumber] || 0 : null;
+      const weekBefore = previousWeek ? previousWeek.wabaMessages[wabaNumber] || 0 : null;
+      return {
+        wabaNumber,
+        messages,
+        previousDay: dayBefore,
+        dayOverDay: percentChange(messages, dayBefore),
+        previousWeek: weekBefore,
+        weekOverWeek: percentChange(messages, weekBefore)
+      };
+    })
+    .sort((a, b) => b.messages - a.messages || a.wabaNumber.localeCompare(b.wabaNumber));
+
+  // Clusters seen on the latest day, plus those from the day before that have gone quiet
+  const countsOf = day => Object.fromEntries((day ? day.issueClusters : []).map(cluster => [historyClusterKey(cluster), cluster.count]));
+  const dayBeforeCounts = countsOf(previousDay);
+  const weekBeforeCounts = countsOf(previousWeek);
+  const latestKeys = new Set(latest.issueClusters.map(historyClusterKey));
+  const resolved = (previousDay ? previousDay.issueClusters : [])
+    .filter(cluster => !latestKeys.has(historyClusterKey(cluster)))
+    .map(cluster => ({ ...cluster, count: 0 }));
+  const issueClusters = [...latest.issueClusters, ...resolved].map(cluster => {
+    const key = historyClusterKey(cluster);
+    const dayBefore = previousDay ? dayBeforeCounts[key] || 0 : null;
+    const weekBefore = previousWeek ? weekBeforeCounts[key] || 0 : null;
+    const reference = dayBefore !== null ? dayBefore : weekBefore;
+
+    let status = 'n/a';
+    if (reference !== null) {
+      if (!cluster.count) status = 'resolved';
+      else if (!reference) status = 'new';
+      else status = cluster.count > reference ? 'rising' : cluster.count < reference ? 'falling' : 'steady';
+    }
+
+    return {
+      ...cluster,
+      previousDay: dayBefore,
+      dayOverDay: percentChange(cluster.count, dayBefore),
+      previousWeek: weekBefore,
+      weekOverWeek: percentChange(cluster.count, weekBefore),
+      status
+    };
+  });
+
+  return {
+    day: latest.day,
+    previousDay: previousDay ? previousDay.day : null,
+    previousWeek: previousWeek ? previousWeek.day : null,
+    metrics: historyMetrics.map(metric => ({
+      name: metric.name,
+      label: metric.label,
+      rate: Boolean(metric.rate),
+      better: metric.better,
+      value: latest[metric.name],
+      previousDay: previousDay ? previousDay[metric.name] : null,
+      dayOverDay: latest.trends[metric.name].dayOverDay,
+      previousWeek: previousWeek ? previousWeek[metric.name] : null,
+      weekOverWeek: latest.trends[metric.name].weekOverWeek
+    })),
+    wabaNumbers,
+    issueClusters
+  };
+}
+
+// Function to format a trend change: percent, or percentage points for rates
+function formatTrend(change, rate = false) {
+  if (change === null) return 'N/A';
+  return (change > 0 ? '+' : '') + change + (rate ? ' pts' : '%');
+}
+
+// Function to write the history trends based on output format
+function writeHistory(config, trends) {
+  if (selectsFormat(config, 'json')) {
+    const outputFile = reportFileFor(config, 'json', 'log-metrics-history.json');
+    fs.writeFileSync(outputFile, JSON.stringify(trends, null, 2));
+    logInfo(config, `JSON trends saved to: ${outputFile}`);
+  }
+
+  if (selectsFormat(config, 'console')) {
+    const format = value => value === null || value === undefined ? 'N/A' : String(value);
+    const printTable = (header, rows) => {
+      const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+      const formatRow = row => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ');
+      console.log(formatRow(header));
+      rows.forEach(row => console.log(formatRow(row)));
+    };
+    const { latest } = trends;
+
+    console.log('Run History:');
+    console.log(`History: ${trends.historyFile} (${trends.runs} runs over ${trends.days.length} days)`);
+    console.log(`Filters: ${formatFilters(trends.filters)}`);
+    console.log('');
+    printTable(
+      ['Day', 'Runs', 'Messages', 'Msg/sec', 'Peak/min', 'Delivery %', 'Read %', 'Failure %', 'Errors', 'Warnings', 'Never Stored', 'p95 ms'],
+      trends.days.map(day => [day.day, day.runs, day.messages, day.messagesPerSecond, day.peakMessagesPerMinute, day.deliveryRate,
+        day.readRate, day.failureRate, day.errors, day.warnings, day.neverStored, day.processingP95].map(format))
+    );
+
+    console.log(`\nLatest Day ${latest.day} (previous day: ${latest.previousDay || 'none'}, week before: ${latest.previousWeek || 'none'}):`);
+    printTable(
+      ['Metric', 'Value', 'Day Before', 'DoD', 'Week Before', 'WoW'],
+      latest.metrics.map(metric => [metric.label, format(metric.value), format(metric.previousDay), formatTrend(metric.dayOverDay, metric.rate),
+        format(metric.previousWeek), formatTrend(metric.weekOverWeek, metric.rate)])
+    );
+
+    if (latest.wabaNumbers.length) {
+      console.log('\nWABA Volume:');
+      printTable(
+        ['WABA Number', 'Messages', 'Day Before', 'DoD', 'Week Before', 'WoW'],
+        latest.wabaNumbers.map(waba => [waba.wabaNumber, format(waba.messages), format(waba.previousDay), formatTrend(waba.dayOverDay),
+          format(waba.previousWeek), formatTrend(waba.weekOverWeek)])
+      );
+    }
+
+    if (latest.issueClusters.length) {
+      console.log(`\nError/Warning Clusters (top ${Math.min(10, latest.issueClusters.length)}):`);
+      printTable(
+        ['Template', 'Kind', 'Count', 'Day Before', 'DoD', 'Week Before', 'WoW', 'Status'],
+        latest.issueClusters.slice(0, 10).map(cluster => [cluster.template.substring(0, 60), cluster.kind, format(cluster.count),
+          format(cluster.previousDay), formatTrend(cluster.dayOverDay), format(cluster.previousWeek), formatTrend(cluster.weekOverWeek), cluster.status])
+      );
+    }
+  }
+
+  if (selectsFormat(config, 'html')) {
+    const outputFile = reportFileFor(config, 'html', 'log-metrics-history.html');
+    fs.writeFileSync(outputFile, generateHistoryHtmlReport(trends));
+    logInfo(config, `HTML trends generated at: ${outputFile}`);
+  }
+}
+
+// Function to run extract mode: write the selected entries of the inputs, redacted, to one file
+async function runExtract(config) {
+  const ruleList = config.rulesFile ? loadRules(config.rulesFile) : defaultRules;
+  const rules = compileRules(ruleList);
+  const selection = createSelection(config);
+  const redactor = createRedactor(config.redact, config.redactMap);
+  const outputFile = config.outputFiles.extract || path.join(config.outputDir, 'log-metrics-extract.log');
+  const toStdout = outputFile === '-';
+  // The entries own stdout when they go there, so progress moves to stderr
+  const onInfo = message => toStdout ? logWarning(config, message) : logInfo(config, message);
+
+  if (!toStdout) fs.mkdirSync(path.dirname(path.resolve(outputFile)), { recursive: true });
+  const output = toStdout ? process.stdout : fs.createWriteStream(outputFile);
+  let extracted = 0;
+  let writeError = null;
+  output.on('error', err => {
+    // A reader that stops early (| head) closes stdout: that ends the extract, it does not fail it
+    if (toStdout && err.code === 'EPIPE') process.exit(0);
+    writeError = writeError || err;
+  });
+  const analyzer = createAnalyzer({
+    ...analyzerOptions(config),
+    rules: ruleList,
+    onWarning: message => logWarning(config, message),
+    onEntry: (logEntry, details) => {
+      if (writeError || !details.raw || !selectsEntry(selection, rules, logEntry, details)) return;
+      output.write(redactEntry(redactor, details.raw) + '\n');
+      extracted++;
+    }
+  });
+
+  try {
+    await readLogFiles(analyzer, config.logFiles);
+  } finally {
+    if (!toStdout) await new Promise(resolve => output.end(resolve));
+  }
+  if (writeError) throw writeError;
+  if (config.redactMap) saveRedactMap(redactor, config.redactMap);
+
+  const entries = Object.values(analyzer.metrics.sources).reduce((sum, stats) => sum + stats.lines, 0);
+  onInfo(`Extracted ${extracted} of ${entries} log entries to ${toStdout ? 'stdout' : outputFile}`);
+  const pseudonyms = Object.entries(redactor.counts).map(([prefix, count]) => `${count} ${prefix}`);
+  if (pseudonyms.length) onInfo(`Pseudonyms: ${pseudonyms.join(', ')}${config.redactMap ? ` (map saved to ${config.redactMap})` : ''}`);
+  if (!extracted) {
+    console.error('No log entries matched the filters and selectors');
+    process.exitCode = 1;
+  }
+}
+
+// Function to gather the extract selectors; ids linked by selected entries are added as they are found
+function createSelection(config) {
+  const selection = {
+    wamids: new Set(config.wamids),
+    msgIds: new Set(config.msgIds),
+    wabaNumbers: new Set(config.filters.wabaNumbers || []),
+    clusters: config.clusters,
+    traceId: config.traceId
+  };
+  selection.any = Boolean(selection.wamids.size || selection.msgIds.size || selection.wabaNumbers.size ||
+    selection.clusters.length || selection.traceId);
+  return selection;
+}
+
+// Function to check an entry against the selectors (any of them), following the wamid <-> msg_id links of
+// entries selected by id
+function selectsEntry(selection, rules, logEntry, details) {
+  if (!selection.any) return true;
+  if (selection.traceId && details.traceId === selection.traceId) return true;
+  if (details.issue && selection.clusters.length) {
+    const template = normalizeMessage(logEntry.message);
+    if (selection.clusters.some(cluster => template.includes(cluster))) return true;
+  }
+
+  const ids = entryIds(rules, logEntry, details.callbackJson);
+  const selected = ids.some(id => selection.wamids.has(id.wamid) || selection.msgIds.has(id.msgId) || selection.wabaNumbers.has(id.wabaNumber));
+  if (selected) {
+    ids.forEach(id => {
+      if (id.wamid) selection.wamids.add(id.wamid);
+      if (id.msgId) selection.msgIds.add(id.msgId);
+    });
+  }
+  return selected;
+}
+
+// Function to list the wamid, msg_id and WABA number of each callback status and rule match in an entry
+function entryIds(rules, logEntry, callbackJson) {
+  const ids = [];
+  if (callbackJson) {
+    try {
+      (JSON.parse(callbackJson).entry || []).forEach(entry => (entry.changes || []).forEach(({ value }) => {
+        (value?.statuses || []).forEach(status => ids.push({
+          wamid: status.id,
+          msgId: parseBizData(null, status.biz_opaque_callback_data).msg_id,
+          wabaNumber: value.metadata?.phone_number_id
+        }));
+      }));
+    } catch (err) {
+      // The analyzer already reports callbacks it cannot parse
+    }
+  }
+
+  rules.forEach(rule => {
+    if (rule.logger && !rule.logger.test(logEntry.logger_name || '')) return;
+    const match = logEntry.message.match(rule.pattern);
+    if (match && match.groups) ids.push({ wamid: match.groups.wamid, msgId: match.groups.msgId, wabaNumber: match.groups.wabaNumber });
+  });
+  return ids;
+}
+
+// Function to set up redaction: the enabled items and the pseudonyms handed out so far, continued from
+// the --redact-map file when it exists
+function createRedactor(items, mapFile) {
+  const redactor = {
+    items: new Set(items.includes('none') ? [] : items),
+    bizFields: items.filter(item => item.startsWith('biz.')).map(item => item.slice(4)),
+    pseudonyms: new Map(), // Original value -> pseudonym, shared by all kinds
+    counts: {} // Pseudonyms handed out per prefix
+  };
+
+  if (mapFile && fs.existsSync(mapFile)) {
+    Object.entries(JSON.parse(fs.readFileSync(mapFile, 'utf8'))).forEach(([pseudonym, value]) => {
+      redactor.pseudonyms.set(value, pseudonym);
+      const [, prefix, number] = pseudonym.match(/^(.+)-(\d+)$/) || [];
+      if (prefix) redactor.counts[prefix] = Math.max(redactor.counts[prefix] || 0, Number(number));
+    });
+  }
+  return redactor;
+}
+
+// Function to replace a value by its pseudonym, the same one wherever (and as whatever) it shows up
+function pseudonymFor(redactor, prefix, value) {
+  const key = String(value).replace(/^\+/, '');
+  let pseudonym = redactor.pseudonyms.get(key);
+  if (!pseudonym) {
+    redactor.counts[prefix] = (redactor.counts[prefix] || 0) + 1;
+    pseudonym = `${prefix}-${redactor.counts[prefix]}`;
+    redactor.pseudonyms.set(key, pseudonym);
+  }
+  return pseudonym;
+}
+
+// Function to redact an entry's raw text: JSON lines field by field, text entries as a whole
+function redactEntry(redactor, raw) {
+  if (raw.format === 'text') return redactText(redactor, raw.line);
+  return JSON.stringify(redactValue(redactor, JSON.parse(raw.line)));
+}
+
+// Function to redact free text: a Moengage callback payload in it field by field, phone numbers anywhere else
+function redactText(redactor, text) {
+  const match = text.match(moengageCallbackRegex);
+  if (match) {
+    let callback = null;
+    try {
+      callback = JSON.parse(match[1]);
+    } catch (err) {
+      // An unreadable payload is redacted as plain text
+    }
+    if (callback) {
+      if (redactor.items.has('waba')) {
+        (callback.entry || []).forEach(entry => {
+          if (entry.id !== undefined) entry.id = pseudonymFor(redactor, 'waba-account', entry.id);
+        });
+      }
+      const start = match.index + match[0].length - match[1].length;
+      return redactText(redactor, text.slice(0, start)) + JSON.stringify(redactValue(redactor, callback)) +
+        redactText(redactor, text.slice(start + match[1].length));
+    }
+  }
+
+  if (!redactor.items.has('phones')) return text;
+  return text.replace(redactedPhoneRegex, number => (epochLikeRegex.test(number) && !redactor.pseudonyms.has(number) ? number : pseudonymFor(redactor, 'phone', number)));
+}
+
+// Function to redact a parsed JSON value: callback keys by their kind, biz_opaque_callback_data by field
+// and other strings as free text; ids and timestamps are kept
+function redactValue(redactor, value, key = null) {
+  if (key === 'biz_opaque_callback_data') return redactBizData(redactor, value);
+  if (Array.isArray(value)) return value.map(item => redactValue(redactor, item));
+  if (value && typeof value === 'object') {
+    Object.keys(value).forEach(field => { value[field] = redactValue(redactor, value[field], field); });
+    return value;
+  }
+
+  const item = redactedCallbackKeys[key];
+  if (item) return redactor.items.has(item) && value !== null ? pseudonymFor(redactor, pseudonymPrefixes[item], value) : value;
+  if (typeof value !== 'string' || ['id', 'timestamp', '@timestamp'].includes(key)) return value;
+  return redactText(redactor, value);
+}
+
+// Function to pseudonymize biz_opaque_callback_data fields (all but msg_id, or the biz.<field> ones),
+// keeping it a JSON string when it was one
+function redactBizData(redactor, raw) {
+  const all = redactor.items.has('biz');
+  if (!raw || (!all && !redactor.bizFields.length)) return raw;
+
+  let bizData = null;
+  try {
+    bizData = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (err) {
+    bizData = null;
+  }
+  if (!bizData || typeof bizData !== 'object' || Array.isArray(bizData)) {
+    return all ? pseudonymFor(redactor, 'biz', typeof raw === 'string' ? raw : JSON.stringify(raw)) : raw;
+  }
+
+  Object.keys(bizData).forEach(field => {
+    if ((all && field !== 'msg_id') || redactor.bizFields.includes(field)) {
+      const value = bizData[field];
+      bizData[field] = pseudonymFor(redactor, field, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+  });
+  return typeof raw === 'string' ? JSON.stringify(bizData) : bizData;
+}
+
+// Function to save the pseudonym -> value map of an extract; it undoes the redaction, so it stays private
+function saveRedactMap(redactor, file) {
+  const map = Object.fromEntries([...redactor.pseudonyms].map(([value, pseudonym]) => [pseudonym, value]));
+  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(map, null, 2), { mode: 0o600 });
+  // mode only applies when the file is created; an existing map may have been made readable since
+  fs.chmodSync(file, 0o600);
+}
+
+// Function to add an error or warning line to its message template cluster
+function trackIssue(metrics, kind, inferred, levelLower, logEntry, timestamp, timeKey) {
+  const logger = logEntry.logger_name || 'unknown';
+  const template = normalizeMessage(logEntry.message);
+  const key = `${kind}|${inferred}|${logger}|${template}`;
+
+  let cluster = metrics.issueClusters[key];
+  if (!cluster) {
+    cluster = metrics.issueClusters[key] = {
+      kind,
+      inferred,
+      levels: {},
+      logger,
+      template,
+      count: 0,
+      firstSeen: timestamp,
+      lastSeen: timestamp,
+      perBucket: {},
+      samples: []
+    };
+  }
+
+  cluster.count++;
+  cluster.levels[levelLower] = (cluster.levels[levelLower] || 0) + 1;
+  if (new Date(timestamp) < new Date(cluster.firstSeen)) cluster.firstSeen = timestamp;
+  if (new Date(timestamp) > new Date(cluster.lastSeen)) cluster.lastSeen = timestamp;
+  cluster.perBucket[timeKey] = (cluster.perBucket[timeKey] || 0) + 1;
+  if (cluster.samples.length < clusterSampleSize) {
+    cluster.samples.push({ timestamp, message: logEntry.message });
+  }
+}
+
+// Function to tell whether a line is an error or warning, by its level or (inferred) by its INFO/DEBUG
+// message; callback payloads are covered by the status lifecycle instead
+function classifyIssue(levelLower, message, isCallback) {
+  if (levelLower === 'error') return { kind: 'error', inferred: false };
+  if (levelLower === 'warn') return { kind: 'warning', inferred: false };
+  if (!isCallback && errorRegex.test(message)) return { kind: 'error', inferred: true };
+  if (!isCallback && warningRegex.test(message)) return { kind: 'warning', inferred: true };
+  return null;
+}
+
+// Function to reduce a log message to a template by masking the variable parts
+function normalizeMessage(message) {
+  // Joined stack traces stay in the samples; the first line decides the cluster
+  return message.split('\n')[0]
+    .replace(/wamid\.[\w=+/-]+/g, '<wamid>')
+    .replace(/\b[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\b/gi, '<uuid>')
+    .replace(templatePhoneRegex, '<phone>')
+    .replace(/\b[0-9a-f]{16,}\b/gi, '<hex>')
+    .replace(/\b[A-Za-z]+[-_]?\d[\w-]*/g, '<id>')
+    .replace(/\d+(?:\.\d+)?/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 500);
+}
+
+// Function to list error and warning clusters, largest first
+function calculateIssueClusters(metrics) {
+  return Object.values(metrics.issueClusters)
+    .sort((a, b) => b.count - a.count)
+    .map(cluster => ({
+      kind: cluster.kind,
+      inferred: cluster.inferred,
+      levels: cluster.levels,
+      logger: cluster.logger,
+      template: cluster.template,
+      count: cluster.count,
+      firstSeen: cluster.firstSeen,
+      lastSeen: cluster.lastSeen,
+      trend: Object.keys(cluster.perBucket).sort().map(timeWindow => ({
+        timeWindow,
+        count: cluster.perBucket[timeWindow]
+      })),
+      samples: cluster.samples
+    }));
+}
+
+// Function to count a line and its level under a logger or thread name
+function countBreakdown(byName, name, levelLower) {
+  const counts = byName[name] = byName[name] || { lines: 0, levels: {} };
+  counts.lines++;
+  counts.levels[levelLower] = (counts.levels[levelLower] || 0) + 1;
+}
+
+// Function to read the trace id of a log entry from the first MDC field that has one
+function traceIdOf(analyzer, logEntry) {
+  for (const field of analyzer.traceFields) {
+    const value = fieldValue(logEntry, field);
+    if (value !== undefined && value !== null && value !== '') return String(value);
+  }
+  return null;
+}
+
+// Function to add a line to its trace: span, lines per level and logger, and the first message and error
+function trackTrace(analyzer, traceId, logEntry, levelLower, time, source, lineNumber) {
+  const { metrics } = analyzer;
+  // Masked before truncating, so no number is cut short of the pattern and kept in the clear
+  const firstLine = maskPhoneNumbers(analyzer, logEntry.message.split('\n')[0]).slice(0, 200);
+  let trace = metrics.traces[traceId];
+  if (!trace) {
+    trace = metrics.traces[traceId] = { start: time, end: time, lines: 0, levels: {}, loggers: {}, firstMessage: firstLine, firstError: null };
+  }
+
+  trace.lines++;
+  if (time < trace.start) trace.start = time;
+  if (time > trace.end) trace.end = time;
+  trace.levels[levelLower] = (trace.levels[levelLower] || 0) + 1;
+  const logger = logEntry.logger_name || '(none)';
+  trace.loggers[logger] = (trace.loggers[logger] || 0) + 1;
+  if (levelLower === 'error' && !trace.firstError) trace.firstError = firstLine;
+
+  if (traceId === analyzer.traceId) {
+    metrics.traceTimeline.push({
+      timestamp: logEntry['@timestamp'],
+      level: logEntry.level,
+      logger: logEntry.logger_name || '',
+      thread: String(logEntry.thread_name ?? ''),
+      message: maskPhoneNumbers(analyzer, logEntry.message),
+      source: source === '-' ? 'stdin' : source,
+      line: lineNumber || null
+    });
+  }
+}
+
+// Function to keep a trace in a list bounded to traceListSize, in the given order
+function keepTrace(list, trace, order) {
+  if (list.length >= traceListSize && order(trace, list[list.length - 1]) >= 0) return list;
+  list.push(trace);
+  list.sort(order);
+  if (list.length > traceListSize) list.pop();
+  return list;
+}
+
+// Function to fold an idle trace into the low-memory totals, keeping it only if it makes one of the lists
+function retireTrace(lowMemory, traceId, trace) {
+  const retired = lowMemory.retiredTraces;
+  retired.count++;
+  retired.lines += trace.lines;
+  keepTrace(retired.slowest, { traceId, ...trace }, traceOrders.slowest);
+  if (trace.levels.error) {
+    retired.withErrors++;
+    keepTrace(retired.errored, { traceId, ...trace }, traceOrders.errored);
+  }
+}
+
+// Function to list loggers or threads by line count with their level distribution
+function calculateBreakdown(byName, key) {
+  const totalLines = Object.values(byName).reduce((sum, counts) => sum + counts.lines, 0);
+  return Object.entries(byName)
+    .sort(([, a], [, b]) => b.lines - a.lines)
+    .map(([name, counts]) => ({
+      [key]: name,
+      lines: counts.lines,
+      share: totalLines > 0 ? ((counts.lines / totalLines) * 100).toFixed(2) + '%' : '0%',
+      errors: counts.levels.error || 0,
+      warnings: counts.levels.warn || 0,
+      levels: counts.levels
+    }));
+}
+
+// Function to summarize traces: totals, the slowest, those with errors, and the --trace timeline
+function calculateTraceMetrics(analyzer) {
+  const { metrics } = analyzer;
+  const retired = metrics.lowMemory ? metrics.lowMemory.retiredTraces : { count: 0, lines: 0, withErrors: 0, slowest: [], errored: [] };
+  const traces = Object.entries(metrics.traces).map(([traceId, trace]) => ({ traceId, ...trace }));
+  const errored = traces.filter(trace => trace.levels.error);
+
+  const summary = {
+    count: traces.length + retired.count,
+    lines: traces.reduce((sum, trace) => sum + trace.lines, retired.lines),
+    withErrors: errored.length + retired.withErrors,
+    slowest: [...traces, ...retired.slowest].sort(traceOrders.slowest).slice(0, traceListSize).map(describeTrace),
+    errored: [...errored, ...retired.errored].sort(traceOrders.errored).slice(0, traceListSize).map(describeTrace)
+  };
+  if (analyzer.traceId) {
+    // Lines from several sources interleave by time; the sort is stable, so each source keeps its order
+    summary.trace = {
+      traceId: analyzer.traceId,
+      summary: metrics.traces[analyzer.traceId] ? describeTrace({ traceId: analyzer.traceId, ...metrics.traces[analyzer.traceId] }) : null,
+      timeline: [...metrics.traceTimeline].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+    };
+  }
+  return summary;
+}
+
+// Function to describe one trace for the reports
+function describeTrace(trace) {
+  return {
+    traceId: trace.traceId,
+    start: new Date(trace.start).toISOString(),
+    end: new Date(trace.end).toISOString(),
+    durationMs: trace.end - trace.start,
+    lines: trace.lines,
+    errors: trace.levels.error || 0,
+    warnings: trace.levels.warn || 0,
+    loggers: Object.keys(trace.loggers).sort((a, b) => trace.loggers[b] - trace.loggers[a]),
+    firstMessage: trace.firstMessage,
+    firstError: trace.firstError
+  };
+}
+
+// Function to print the ordered timeline of the trace asked for with --trace
+function printTrace(traces) {
+  const { traceId, summary, timeline } = traces.trace;
+  if (!timeline.length) {
+    console.error(`No lines with trace id ${traceId}${traces.count ? '' : ' (no line carried a trace id)'}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const start = new Date(timeline[0].timestamp).getTime();
+  const sources = new Set(timeline.map(entry => entry.source));
+  console.log(`Trace ${traceId}: ${summary.lines} lines from ${summary.start} to ${summary.end} (${summary.durationMs}ms), ${summary.errors} errors, ${summary.warnings} warnings`);
+  console.log(`Loggers: ${summary.loggers.join(', ')}`);
+  console.log('');
+  timeline.forEach(entry => {
+    const offset = `+${new Date(entry.timestamp).getTime() - start}ms`.padStart(10);
+    const where = sources.size > 1 ? ` ${entry.source}${entry.line ? ':' + entry.line : ''}` : '';
+    const [first, ...rest] = entry.message.split('\n');
+    console.log(`${offset} ${entry.timestamp} ${entry.level.toUpperCase().padEnd(5)} ${entry.thread ? `[${entry.thread}] ` : ''}${entry.logger}${where} - ${first}`);
+    // Joined stack trace lines follow under the entry
+    rest.forEach(line => console.log(`${' '.repeat(11)}${line}`));
+  });
+}
+
+// Function to draw a small inline SVG sparkline for a cluster trend
+function sparkline(trend) {
+  if (!trend.length) return '';
+  const max = trend.reduce((highest, point) => Math.max(highest, point.count), 0);
+  const width = 120;
+  const height = 24;
+  const step = trend.length > 1 ? width / (trend.length - 1) : 0;
+  const points = trend.map((point, index) =>
+    `${(index * step).toFixed(1)},${(height - (point.count / max) * (height - 2) - 1).toFixed(1)}`).join(' ');
+  return `<svg width="${width}" height="${height}"><polyline fill="none" stroke="#128C7E" stroke-width="1.5" points="${trend.length > 1 ? points : `0,${height / 2} ${width},${height / 2}`}"/></svg>`;
+}
+
+// Function to parse biz_opaque_callback_data, counting payloads that are not a JSON object instead of failing the callback
+function parseBizData(metrics, raw) {
+  if (!raw) return {};
+
+  let bizData = null;
+  try {
+    bizData = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch (err) {
+    bizData = null;
+  }
+  if (bizData && typeof bizData === 'object' && !Array.isArray(bizData)) return bizData;
+
+  // Without metrics (extract reading ids) a malformed payload just has no fields
+  if (metrics) metrics.malformedBizData++;
+  return {};
+}
+
+// Function to turn an opaque data value into a group label
+function groupValue(value) {
+  if (value === undefined || value === null || value === '') return '(none)';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Function to record a single status callback in the wamid lifecycle
+function trackStatus(analyzer, status, value, timestamp, timeKey, source) {
+  const { metrics } = analyzer;
+  const sourceStats = metrics.sources[source];
+  const wabaNumber = value.metadata?.phone_number_id;
+  const wamid = status.id;
+  const statusName = status.status;
+
+  metrics.statusCounts[statusName] = (metrics.statusCounts[statusName] || 0) + 1;
+  sourceStats.callbacks++;
+
+  if (statusName === 'failed') {
+    const failureErrors = Array.isArray(status.errors) && status.errors.length ? status.errors : [{}];
+    failureErrors.forEach(error => {
+      const code = error.code !== undefined ? String(error.code) : 'unknown';
+      if (!metrics.failureReasons[code]) {
+        metrics.failureReasons[code] = { code, title: error.title || error.message || 'Unknown error', count: 0 };
+      }
+      metrics.failureReasons[code].count++;
+    });
+  }
+
+  // A callback for a message already expired in low-memory mode must not count it a second time
+  let state = metrics.wamidStates[wamid];
+  if (!state && metrics.lowMemory && inBloomFilter(metrics.lowMemory.retiredWamids, wamid)) {
+    metrics.lowMemory.lateCallbacks++;
+    return;
+  }
+
+  // First callback for this wamid registers the message
+  const loggedAt = new Date(timestamp).getTime();
+  if (!state) {
+    const malformedBefore = metrics.malformedBizData;
+    const bizData = parseBizData(metrics, status.biz_opaque_callback_data);
+    const msgId = bizData.msg_id;
+
+    state = metrics.wamidStates[wamid] = {
+      wabaNumber,
+      msgId,
+      recipientId: status.recipient_id,
+      groupValues: analyzer.groupBy.length ? analyzer.groupBy.map(field => groupValue(bizData[field])) : null,
+      status: null,
+      transitions: {},
+      reports: {}, // Callbacks received per status
+      firstSeen: timestamp,
+      lastSeen: loggedAt, // Log time of the latest callback, for low-memory expiry
+      callbacks: metrics.lowMemory ? null : [], // Every status callback, for the report's message timeline
+      // Where the message was counted, so a merge can undo double counting
+      timeKey,
+      source,
+      malformedBizData: metrics.malformedBizData > malformedBefore
+    };
+
+    metrics.messagesSent++;
+    sourceStats.newMessages++;
+    metrics.uniqueWabaNumbers.add(wabaNumber);
+    addUnique(metrics.wamids, wamid);
+    addUnique(metrics.messageIds, msgId);
+    if (metrics.lowMemory) addUnique(metrics.lowMemory.recipientIds, status.recipient_id || 'unknown');
+
+    // Track message per WABA
+    if (!metrics.wabaMessageMap[wabaNumber]) {
+      metrics.wabaMessageMap[wabaNumber] = {
+        messageIds: createUniqueCounter(Boolean(metrics.lowMemory)),
+        wamids: createUniqueCounter(Boolean(metrics.lowMemory)),
+        count: 0,
+        perBucket: {}
+      };
+    }
+    addUnique(metrics.wabaMessageMap[wabaNumber].messageIds, msgId);
+    addUnique(metrics.wabaMessageMap[wabaNumber].wamids, wamid);
+    metrics.wabaMessageMap[wabaNumber].count++;
+    metrics.wabaMessageMap[wabaNumber].perBucket[timeKey] = (metrics.wabaMessageMap[wabaNumber].perBucket[timeKey] || 0) + 1;
+
+    // Track for processing time calculation
+    metrics.messagesToStore[wamid] = {
+      wabaNumber,
+      msgId,
+      sentTimestamp: timestamp
+    };
+    if (msgId) metrics.pendingByMsgId[msgId] = wamid;
+
+    // Update time interval metrics
+    metrics.timeIntervals[timeKey].messages++;
+  }
+
+  // Keep the first time each transition was reported
+  const time = statusTime(status, timestamp);
+  if (!state.transitions[statusName]) {
+    state.transitions[statusName] = time;
+  }
+  state.reports[statusName] = (state.reports[statusName] || 0) + 1;
+  if (loggedAt > state.lastSeen) state.lastSeen = loggedAt;
+  if (state.callbacks) {
+    state.callbacks.push({
+      status: statusName,
+      at: new Date(time).toISOString(),
+      loggedAt: timestamp,
+      errors: (Array.isArray(status.errors) ? status.errors : []).map(error => ({ code: error.code, title: error.title || error.message }))
+    });
+  }
+
+  // Callbacks can arrive out of order, so only ever move the state forward
+  const rank = statusRanks[statusName] || 0;
+  if (rank > (statusRanks[state.status] || 0)) {
+    state.status = statusName;
+  }
+}
+
+// Function to load log-pattern rules from a JSON file or JS module
+function loadRules(file) {
+  const resolved = path.resolve(file);
+  if (resolved.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  }
+  return require(resolved);
+}
+
+// Function to validate rules and compile their patterns
+function compileRules(ruleList) {
+  if (!Array.isArray(ruleList)) {
+    throw new Error('rules must be an array');
+  }
+
+  return ruleList.map((rule, index) => {
+    const name = rule.name || `rule-${index + 1}`;
+    if (!rule.pattern) {
+      throw new Error(`rule "${name}" has no pattern`);
+    }
+    if (!rule.counter && !rule.interval && !rule.timing) {
+      throw new Error(`rule "${name}" needs a counter, interval or timing`);
+    }
+    if (rule.timing && (!rule.timing.name || !rule.timing.key || !['start', 'end'].includes(rule.timing.edge))) {
+      throw new Error(`rule "${name}" timing needs a name, key and an edge of start or end`);
+    }
+
+    const toRegex = (pattern, flags) => pattern instanceof RegExp ? pattern : new RegExp(pattern, flags);
+    return {
+      ...rule,
+      name,
+      logger: rule.logger ? toRegex(rule.logger) : null,
+      pattern: toRegex(rule.pattern, rule.flags || 'i')
+    };
+  });
+}
+
+// Function to apply a single log-pattern rule to a log entry
+function applyRule(analyzer, rule, logEntry, timestamp, timeKey) {
+  const { metrics } = analyzer;
+  if (rule.logger && !rule.logger.test(logEntry.logger_name || '')) return;
+
+  const match = logEntry.message.match(rule.pattern);
+  if (!match) return;
+
+  const fields = match.groups || {};
+  if (!matchesWabaFilter(analyzer, fields)) return;
+
+  metrics.ruleMatches[rule.name] = (metrics.ruleMatches[rule.name] || 0) + 1;
+
+  if (rule.counter) {
+    if (ruleCounters.includes(rule.counter)) {
+      metrics[rule.counter]++;
+    } else {
+      metrics.customCounters[rule.counter] = (metrics.customCounters[rule.counter] || 0) + 1;
+    }
+
+    if (fields.wabaNumber) {
+      const byWaba = metrics.countersByWaba[rule.counter] = metrics.countersByWaba[rule.counter] || {};
+      byWaba[fields.wabaNumber] = (byWaba[fields.wabaNumber] || 0) + 1;
+    }
+  }
+
+  if (rule.interval) {
+    metrics.timeIntervals[timeKey][rule.interval] = (metrics.timeIntervals[timeKey][rule.interval] || 0) + 1;
+  }
+
+  if (fields.jobId) {
+    addUnique(metrics.jobIds, fields.jobId);
+  }
+
+  if (rule.counter === 'storeOperations') {
+    trackStore(metrics, fields, timestamp);
+  }
+
+  // Timing pairs measure the gap between a start line and an end line sharing a key
+  if (rule.timing) {
+    const { name, key, edge } = rule.timing;
+    const keyValue = fields[key];
+    if (!keyValue) return;
+
+    const starts = metrics.timingStarts[name] = metrics.timingStarts[name] || {};
+    const time = new Date(timestamp).getTime();
+    if (edge === 'start') {
+      starts[keyValue] = time;
+    } else if (starts[keyValue] !== undefined) {
+      metrics.timings[name] = metrics.timings[name] || createDurations(Boolean(metrics.lowMemory));
+      addDuration(metrics.timings[name], time - starts[keyValue]);
+      delete starts[keyValue];
+    } else {
+      // Kept so a merge can pair it with a start from an earlier shard
+      metrics.unmatchedTimingEnds.push({ name, key: keyValue, time });
+    }
+  }
+}
+
+// Function to pair a store line with the message waiting to be stored
+function trackStore(metrics, fields, timestamp) {
+  const wamid = fields.wamid && metrics.messagesToStore[fields.wamid] ?
+    fields.wamid : metrics.pendingByMsgId[fields.msgId];
+  const pending = wamid && metrics.messagesToStore[wamid];
+
+  if (!pending) {
+    metrics.unmatchedStores.push({ wamid: fields.wamid, msgId: fields.msgId, timestamp });
+    return;
+  }
+
+  const processingTimeMs = new Date(timestamp) - new Date(pending.sentTimestamp);
+  if (metrics.lowMemory) {
+    const { processingByWaba } = metrics.lowMemory;
+    addDuration(metrics.lowMemory.processing, processingTimeMs);
+    addDuration(processingByWaba[pending.wabaNumber] = processingByWaba[pending.wabaNumber] || createDurations(true), processingTimeMs);
+  } else {
+    metrics.processingTimes.push({
+      wamid,
+      wabaNumber: pending.wabaNumber,
+      msgId: pending.msgId,
+      storedTimestamp: timestamp,
+      processingTimeMs
+    });
+  }
+
+  delete metrics.messagesToStore[wamid];
+  if (pending.msgId) delete metrics.pendingByMsgId[pending.msgId];
+}
+
+// Function to expire correlation state idle for longer than --pending-ttl in log time, folding expired
+// messages into the retired totals (low-memory mode, at most every tenth of the TTL)
+function expireIdleState(analyzer, now) {
+  const { metrics } = analyzer;
+  const { lowMemory } = metrics;
+  // Sweep as log time moves forward; a jump back by more than the TTL (an older file) starts over there
+  if (lowMemory.lastSweepAt === null || now < lowMemory.lastSweepAt - lowMemory.ttlMs) lowMemory.lastSweepAt = now;
+  if (now - lowMemory.lastSweepAt < lowMemory.ttlMs / 10) return;
+  lowMemory.lastSweepAt = now;
+  const cutoff = now - lowMemory.ttlMs;
+
+  // What came in the first TTL of the log may continue a message from an earlier shard, so it stays for a merge
+  const mergeWindowEnd = metrics.startTime.getTime() + lowMemory.ttlMs;
+  const expires = time => time < cutoff && time >= mergeWindowEnd;
+
+  // Messages not stored within the TTL count as never stored
+  Object.entries(metrics.messagesToStore).forEach(([wamid, pending]) => {
+    if (!expires(new Date(pending.sentTimestamp).getTime())) return;
+    lowMemory.expired.pendingStores++;
+    if (lowMemory.orphans.length < lowMemory.sampleSize) lowMemory.orphans.push({ wamid, ...pending });
+    delete metrics.messagesToStore[wamid];
+    if (pending.msgId) delete metrics.pendingByMsgId[pending.msgId];
+  });
+
+  Object.entries(metrics.wamidStates).forEach(([wamid, state]) => {
+    if (state.lastSeen < cutoff && expires(new Date(state.firstSeen).getTime())) retireMessage(analyzer, wamid, state);
+  });
+  pruneRecipients(lowMemory.retiredRecipients, lowMemory.sampleSize);
+
+  // A trace idle for the TTL is over; the one asked for with --trace stays whole
+  Object.entries(metrics.traces).forEach(([traceId, trace]) => {
+    if (trace.end >= cutoff || !expires(trace.start) || traceId === analyzer.traceId) return;
+    retireTrace(lowMemory, traceId, trace);
+    delete metrics.traces[traceId];
+  });
+
+  const stores = metrics.unmatchedStores.filter(store => !expires(new Date(store.timestamp).getTime()));
+  lowMemory.expired.unmatchedStores += metrics.unmatchedStores.length - stores.length;
+  metrics.unmatchedStores = stores;
+
+  Object.values(metrics.timingStarts).forEach(starts => {
+    Object.entries(starts).forEach(([key, time]) => {
+      if (time >= cutoff) return;
+      lowMemory.expired.timingStarts++;
+      delete starts[key];
+    });
+  });
+  const ends = metrics.unmatchedTimingEnds.filter(end => !expires(end.time));
+  lowMemory.expired.timingEnds += metrics.unmatchedTimingEnds.length - ends.length;
+  metrics.unmatchedTimingEnds = ends;
+}
+
+// Function to fold an idle message into the low-memory retired totals and forget it
+function retireMessage(analyzer, wamid, state) {
+  const { metrics } = analyzer;
+  const { lowMemory } = metrics;
+
+  tallyMessage(lowMemory.retired, state);
+  if (analyzer.groupBy.length) tallyGroups(lowMemory.retiredGroups, state, analyzer.groupBy, true);
+  tallyRecipient(lowMemory.retiredRecipients, state, true);
+  repeatedStatusesOf(wamid, state).forEach(repeat => {
+    lowMemory.repeatedStatusCount++;
+    if (lowMemory.repeatedStatuses.length < lowMemory.sampleSize) lowMemory.repeatedStatuses.push(repeat);
+  });
+
+  addToBloomFilter(lowMemory.retiredWamids, wamid);
+  lowMemory.expired.messages++;
+  delete metrics.wamidStates[wamid];
+}
+
+// Function to calculate end-to-end processing times and orphaned messages
+function calculateProcessingMetrics(metrics) {
+  const { lowMemory } = metrics;
+  const durations = lowMemory ? lowMemory.processing : metrics.processingTimes.map(item => item.processingTimeMs);
+  const summary = summarizeDurations(durations);
+
+  // Histogram with one bucket per upper bound plus an overflow bucket
+  const histogram = latencyBuckets.map((upperBound, index) => ({
+    bucket: `${index ? latencyBuckets[index - 1] : 0}-${upperBound}ms`,
+    upperBoundMs: upperBound,
+    count: 0
+  }));
+  histogram.push({ bucket: `>${latencyBuckets[latencyBuckets.length - 1]}ms`, upperBoundMs: null, count: 0 });
+  forEachDuration(durations, (duration, count) => {
+    const index = latencyBuckets.findIndex(upperBound => duration <= upperBound);
+    histogram[index === -1 ? histogram.length - 1 : index].count += count;
+  });
+
+  const durationsByWaba = lowMemory ? lowMemory.processingByWaba : {};
+  metrics.processingTimes.forEach(item => {
+    durationsByWaba[item.wabaNumber] = durationsByWaba[item.wabaNumber] || [];
+    durationsByWaba[item.wabaNumber].push(item.processingTimeMs);
+  });
+
+  // Messages never stored, oldest first; low-memory mode adds a sample of those expired unstored
+  const pending = Object.entries(metrics.messagesToStore).map(([wamid, entry]) => ({ wamid, ...entry }));
+  const orphans = (lowMemory ? lowMemory.orphans.concat(pending) : pending)
+    .map(orphan => ({
+      wamid: orphan.wamid,
+      wabaNumber: orphan.wabaNumber,
+      msgId: orphan.msgId,
+      sentTimestamp: orphan.sentTimestamp,
+      ageMs: metrics.endTime - new Date(orphan.sentTimestamp)
+    }))
+    .sort((a, b) => b.ageMs - a.ageMs)
+    .slice(0, lowMemory ? lowMemory.sampleSize : undefined);
+
+  return {
+    avgTimeMs: summary.avgMs,
+    minTimeMs: summary.minMs,
+    maxTimeMs: summary.maxMs,
+    p50TimeMs: summary.p50Ms,
+    p90TimeMs: summary.p90Ms,
+    p95TimeMs: summary.p95Ms,
+    p99TimeMs: summary.p99Ms,
+    measuredMessages: summary.count,
+    histogram,
+    byWabaNumber: Object.fromEntries(
+      Object.entries(durationsByWaba).map(([wabaNumber, values]) => [wabaNumber, summarizeDurations(values)])
+    ),
+    unmatchedStores: metrics.unmatchedStores.length + (lowMemory ? lowMemory.expired.unmatchedStores : 0),
+    orphans: {
+      count: pending.length + (lowMemory ? lowMemory.expired.pendingStores : 0),
+      list: orphans
+    }
+  };
+}
+
+// Function to list every message with its store time and callback timeline, for the report's drill-downs
+// (none in low-memory mode, which keeps no timelines)
+function collectMessageDetails(analyzer) {
+  const { metrics } = analyzer;
+  if (metrics.lowMemory) return [];
+
+  const stores = {};
+  metrics.processingTimes.forEach(item => {
+    stores[item.wamid] = item;
+  });
+
+  return Object.entries(metrics.wamidStates).map(([wamid, state]) => ({
+    wamid,
+    msgId: state.msgId || null,
+    wabaNumber: state.wabaNumber,
+    recipient: formatRecipient(analyzer, state.recipientId),
+    status: state.status,
+    firstSeen: state.firstSeen,
+    storedAt: stores[wamid] ? stores[wamid].storedTimestamp : null,
+    processingTimeMs: stores[wamid] ? stores[wamid].processingTimeMs : null,
+    timeline: state.callbacks
+  }));
+}
+
+// Function to mask a recipient number unless --show-recipients, keeping just enough to tell numbers apart
+function formatRecipient(analyzer, recipientId) {
+  if (!recipientId) return 'unknown';
+
+  const digits = String(recipientId);
+  if (analyzer.showRecipients) return digits;
+  if (digits.length <= 6) return '*'.repeat(Math.max(0, digits.length - 2)) + digits.slice(-2);
+  return digits.slice(0, 2) + '*'.repeat(digits.length - 6) + digits.slice(-4);
+}
+
+// Function to mask the phone numbers in free text (trace lines) the way formatRecipient masks recipients
+function maskPhoneNumbers(analyzer, text) {
+  if (analyzer.showRecipients) return text;
+  return text.replace(maskedPhoneRegex, (match, key, number, e164) => (e164 ? `+${formatRecipient(analyzer, e164)}` : key + formatRecipient(analyzer, number)));
+}
+
+// Function to count a message into its recipient's totals
+function tallyRecipient(byRecipient, state, approximate) {
+  const recipientId = state.recipientId || 'unknown';
+  const recipient = byRecipient[recipientId] = byRecipient[recipientId] ||
+    { messages: 0, delivered: 0, read: 0, failed: 0, timesToRead: createDurations(approximate), wabaNumbers: new Set() };
+  const { sent, delivered, read, failed } = state.transitions;
+
+  recipient.messages++;
+  recipient.wabaNumbers.add(state.wabaNumber);
+  if (delivered || read) recipient.delivered++;
+  if (read) recipient.read++;
+  if (failed) recipient.failed++;
+  if (read && (sent || delivered) && read >= (sent || delivered)) addDuration(recipient.timesToRead, read - (sent || delivered));
+}
+
+// Function to fold recipient totals of expired messages into another set (low-memory mode only)
+function mergeRecipients(into, from) {
+  Object.entries(from).forEach(([recipientId, recipient]) => {
+    const target = into[recipientId] = into[recipientId] ||
+      { messages: 0, delivered: 0, read: 0, failed: 0, timesToRead: createDurations(true), wabaNumbers: new Set() };
+    ['messages', 'delivered', 'read', 'failed'].forEach(count => {
+      target[count] += recipient[count];
+    });
+    mergeDurations(target.timesToRead, recipient.timesToRead);
+    recipient.wabaNumbers.forEach(wabaNumber => target.wabaNumbers.add(wabaNumber));
+  });
+  return into;
+}
+
+// Function to keep only the busiest recipients once more than twice that many are tracked
+function pruneRecipients(byRecipient, keep) {
+  const recipientIds = Object.keys(byRecipient);
+  if (recipientIds.length <= 2 * keep) return;
+  recipientIds
+    .sort((a, b) => byRecipient[b].messages - byRecipient[a].messages)
+    .slice(keep)
+    .forEach(recipientId => delete byRecipient[recipientId]);
+}
+
+// Function to aggregate messages per recipient and flag abnormal volumes
+function calculateRecipientMetrics(analyzer) {
+  const { metrics } = analyzer;
+  const { lowMemory } = metrics;
+  const byRecipient = lowMemory ? mergeRecipients({}, lowMemory.retiredRecipients) : {};
+  Object.values(metrics.wamidStates).forEach(state => tallyRecipient(byRecipient, state, Boolean(lowMemory)));
+
+  // Low-memory mode only keeps the busiest recipients; the others are taken to share the rest evenly
+  const counts = Object.values(byRecipient).map(recipient => recipient.messages);
+  const keptMessages = counts.reduce((sum, count) => sum + count, 0);
+  const recipientCount = lowMemory ? Math.max(counts.length, countUnique(lowMemory.recipientIds)) : counts.length;
+  const messageCount = lowMemory ? Math.max(keptMessages, metrics.messagesSent) : keptMessages;
+  const hidden = recipientCount - counts.length;
+
+  // Without --recipient-limit, anything more than three standard deviations above the mean is abnormal
+  const mean = messageCount / (recipientCount || 1);
+  let squares = counts.reduce((sum, count) => sum + (count - mean) ** 2, 0);
+  if (hidden) squares += hidden * ((messageCount - keptMessages) / hidden - mean) ** 2;
+  const stddev = Math.sqrt(squares / (recipientCount || 1));
+  const limit = analyzer.recipientLimit || Math.max(1, Math.floor(mean + 3 * stddev));
+
+  const list = Object.entries(byRecipient)
+    .map(([recipientId, recipient]) => ({
+      recipient: formatRecipient(analyzer, recipientId === 'unknown' ? null : recipientId),
+      messages: recipient.messages,
+      wabaNumbers: [...recipient.wabaNumbers],
+      delivered: recipient.delivered,
+      read: recipient.read,
+      failed: recipient.failed,
+      readRate: recipient.delivered > 0 ? ((recipient.read / recipient.delivered) * 100).toFixed(2) + '%' : '0%',
+      timeToRead: summarizeDurations(recipient.timesToRead),
+      abnormal: recipient.messages > limit
+    }))
+    .sort((a, b) => b.messages - a.messages)
+    .slice(0, lowMemory ? lowMemory.sampleSize : undefined);
+
+  return {
+    masked: !analyzer.showRecipients,
+    count: recipientCount,
+    meanMessages: Number(mean.toFixed(2)),
+    volumeLimit: limit,
+    abnormal: list.filter(recipient => recipient.abnormal),
+    list
+  };
+}
+
+// Function to list the statuses reported more than once for a message
+function repeatedStatusesOf(wamid, state) {
+  return Object.entries(state.reports)
+    .filter(([, count]) => count > 1)
+    .map(([status, count]) => ({ wamid, msgId: state.msgId || null, wabaNumber: state.wabaNumber, status, count }));
+}
+
+// Function to find msg_ids sent as several wamids and statuses reported more than once for a wamid
+// (in low-memory mode msg_ids are only compared among messages still in memory)
+function findDuplicates(metrics) {
+  const { lowMemory } = metrics;
+  const wamidsByMsgId = {};
+  const repeatedStatuses = lowMemory ? [...lowMemory.repeatedStatuses] : [];
+
+  Object.entries(metrics.wamidStates).forEach(([wamid, state]) => {
+    if (state.msgId) {
+      wamidsByMsgId[state.msgId] = wamidsByMsgId[state.msgId] || [];
+      wamidsByMsgId[state.msgId].push(wamid);
+    }
+    repeatedStatuses.push(...repeatedStatusesOf(wamid, state));
+  });
+
+  const msgIds = Object.entries(wamidsByMsgId)
+    .filter(([, wamids]) => wamids.length > 1)
+    .map(([msgId, wamids]) => ({ msgId, wamids, wabaNumbers: [...new Set(wamids.map(wamid => metrics.wamidStates[wamid].wabaNumber))] }))
+    .sort((a, b) => b.wamids.length - a.wamids.length);
+
+  return {
+    msgIdsWithMultipleWamids: msgIds.length,
+    repeatedStatusReports: repeatedStatuses.length + (lowMemory ? lowMemory.repeatedStatusCount - lowMemory.repeatedStatuses.length : 0),
+    msgIds,
+    repeatedStatuses: repeatedStatuses.sort((a, b) => b.count - a.count).slice(0, lowMemory ? lowMemory.sampleSize : undefined)
+  };
+}
+
+// Function to get when a status happened, in epoch ms
+function statusTime(status, logTimestamp) {
+  // Meta reports the status time in epoch seconds; fall back to when we logged it
+  const seconds = Number(status.timestamp);
+  return seconds ? seconds * 1000 : new Date(logTimestamp).getTime();
+}
+
+// Function to summarize a list of durations in ms, or a low-memory duration histogram
+function summarizeDurations(values) {
+  if (!Array.isArray(values)) return summarizeHistogram(values);
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const percentile = p => sorted.length ?
+    sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : 'N/A';
+  const total = sorted.reduce((sum, value) => sum + value, 0);
+
+  return {
+    count: sorted.length,
+    avgMs: (sorted.length ? total / sorted.length : 0).toFixed(2),
+    minMs: sorted.length ? sorted[0] : 'N/A',
+    maxMs: sorted.length ? sorted[sorted.length - 1] : 'N/A',
+    p50Ms: percentile(50),
+    p90Ms: percentile(90),
+    p95Ms: percentile(95),
+    p99Ms: percentile(99)
+  };
+}
+
+// Function to summarize a duration histogram the same way; percentiles are within durationPrecision
+function summarizeHistogram(histogram) {
+  const percentile = p => {
+    const rank = Math.ceil((p / 100) * histogram.count);
+    let seen = 0;
+    let found = 'N/A';
+    forEachDuration(histogram, (value, count) => {
+      seen += count;
+      if (found === 'N/A' && seen >= rank) found = value;
+    });
+    return found;
+  };
+
+  return {
+    count: histogram.count,
+    avgMs: (histogram.count ? histogram.sum / histogram.count : 0).toFixed(2),
+    minMs: histogram.count ? histogram.min : 'N/A',
+    maxMs: histogram.count ? histogram.max : 'N/A',
+    p50Ms: percentile(50),
+    p90Ms: percentile(90),
+    p95Ms: percentile(95),
+    p99Ms: percentile(99)
+  };
+}
+
+// Function to create a duration collection: every value, or a log-bucketed histogram in low-memory mode
+function createDurations(approximate) {
+  return approximate ? { count: 0, sum: 0, min: null, max: null, buckets: {} } : [];
+}
+
+// Function to get a duration's histogram bucket; each bucket spans durationPrecision of its values
+function durationBucket(value) {
+  return value < 1 ? 0 : Math.floor(Math.log(value) / Math.log1p(durationPrecision)) + 1;
+}
+
+// Function to add a duration in ms to a duration collection
+function addDuration(durations, value) {
+  if (Array.isArray(durations)) {
+    durations.push(value);
+    return;
+  }
+
+  const bucket = durationBucket(value);
+  durations.buckets[bucket] = (durations.buckets[bucket] || 0) + 1;
+  durations.count++;
+  durations.sum += value;
+  if (durations.min === null || value < durations.min) durations.min = value;
+  if (durations.max === null || value > durations.max) durations.max = value;
+}
+
+// Function to fold one duration collection into another of the same kind
+function mergeDurations(into, from) {
+  if (Array.isArray(into)) {
+    from.forEach(value => into.push(value));
+    return into;
+  }
+
+  Object.entries(from.buckets).forEach(([bucket, count]) => {
+    into.buckets[bucket] = (into.buckets[bucket] || 0) + count;
+  });
+  into.count += from.count;
+  into.sum += from.sum;
+  if (from.min !== null && (into.min === null || from.min < into.min)) into.min = from.min;
+  if (from.max !== null && (into.max === null || from.max > into.max)) into.max = from.max;
+  return into;
+}
+
+// Function to call fn(value, count) for the durations in a collection; histograms go in bucket order,
+// each bucket standing in for its values with its midpoint
+function forEachDuration(durations, fn) {
+  if (Array.isArray(durations)) {
+    durations.forEach(value => fn(value, 1));
+    return;
+  }
+
+  Object.keys(durations.buckets).map(Number).sort((a, b) => a - b).forEach(bucket => {
+    const value = bucket ? Math.round(Math.pow(1 + durationPrecision, bucket - 0.5)) : 0;
+    fn(Math.min(durations.max, Math.max(durations.min, value)), durations.buckets[bucket]);
+  });
+}
+
+// Function to hash a string to 32 bits (FNV-1a with a murmur3 finalizer); seeds give independent hashes
+function hashString(value, seed = 0) {
+  const text = String(value);
+  let hash = (2166136261 ^ seed) >>> 0;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+  return hash >>> 0;
+}
+
+// Function to create a distinct value counter: an exact Set, or a HyperLogLog sketch in low-memory mode
+function createUniqueCounter(approximate) {
+  return approximate ? { registers: new Uint8Array(2 ** hyperLogLogBits) } : new Set();
+}
+
+// Function to add a value to a distinct value counter
+function addUnique(counter, value) {
+  if (counter instanceof Set) {
+    counter.add(value);
+    return;
+  }
+
+  // The top bits pick a register, which keeps the longest run of leading zeros seen in the rest
+  const hash = hashString(value);
+  const register = hash >>> (32 - hyperLogLogBits);
+  const rank = Math.min(Math.clz32(hash << hyperLogLogBits) + 1, 33 - hyperLogLogBits);
+  if (rank > counter.registers[register]) counter.registers[register] = rank;
+}
+
+// Function to count (or estimate) the distinct values in a counter
+function countUnique(counter) {
+  if (counter instanceof Set) return counter.size;
+
+  const registers = counter.registers.length;
+  let sum = 0;
+  let empty = 0;
+  counter.registers.forEach(rank => {
+    sum += 2 ** -rank;
+    if (!rank) empty++;
+  });
+  const estimate = (0.7213 / (1 + 1.079 / registers)) * registers * registers / sum;
+
+  // Small counts are estimated better from the share of registers still empty
+  if (estimate <= 2.5 * registers && empty) return Math.round(registers * Math.log(registers / empty));
+  return Math.round(estimate);
+}
+
+// Function to fold one distinct value counter into another of the same kind
+function mergeUnique(into, from) {
+  if (into instanceof Set) {
+    from.forEach(value => into.add(value));
+    return;
+  }
+  from.registers.forEach((rank, register) => {
+    if (rank > into.registers[register]) into.registers[register] = rank;
+  });
+}
+
+// Function to create an empty Bloom filter for remembering wamids without storing them
+function createBloomFilter() {
+  return new Uint32Array(bloomFilterBits / 32);
+}
+
+// Function to get the bits a value sets in a Bloom filter (double hashing)
+function bloomFilterPositions(value) {
+  const first = hashString(value);
+  const step = hashString(value, 0x9747b28c) | 1;
+  return Array.from({ length: bloomFilterHashes }, (_, index) => ((first + Math.imul(index, step)) >>> 0) % bloomFilterBits);
+}
+
+// Function to add a value to a Bloom filter
+function addToBloomFilter(filter, value) {
+  bloomFilterPositions(value).forEach(position => {
+    filter[position >>> 5] |= 1 << (position & 31);
+  });
+}
+
+// Function to check whether a Bloom filter may contain a value (false positives are possible)
+function inBloomFilter(filter, value) {
+  return bloomFilterPositions(value).every(position => (filter[position >>> 5] & (1 << (position & 31))) !== 0);
+}
+
+// Function to create an empty message tally: current statuses, the funnel and transition latencies
+function createTally(approximate) {
+  return {
+    messages: 0,
+    current: {},
+    funnel: { sent: 0, delivered: 0, read: 0, failed: 0 },
+    sentToDelivered: createDurations(approximate),
+    deliveredToRead: createDurations(approximate)
+  };
+}
+
+// Function to count one message's lifecycle into a tally
+function tallyMessage(tally, state) {
+  const { sent, delivered, read, failed } = state.transitions;
+  tally.messages++;
+  tally.current[state.status || 'unknown'] = (tally.current[state.status || 'unknown'] || 0) + 1;
+
+  // A later stage implies the earlier ones even if their callbacks were missed
+  if (sent || delivered || read) tally.funnel.sent++;
+  if (delivered || read) tally.funnel.delivered++;
+  if (read) tally.funnel.read++;
+  if (failed) tally.funnel.failed++;
+
+  if (sent && delivered && delivered >= sent) addDuration(tally.sentToDelivered, delivered - sent);
+  if (delivered && read && read >= delivered) addDuration(tally.deliveredToRead, read - delivered);
+  return tally;
+}
+
+// Function to fold one tally into another of the same kind
+function mergeTally(into, from) {
+  into.messages += from.messages;
+  Object.entries(from.current).forEach(([status, count]) => {
+    into.current[status] = (into.current[status] || 0) + count;
+  });
+  Object.keys(into.funnel).forEach(stage => {
+    into.funnel[stage] += from.funnel[stage];
+  });
+  mergeDurations(into.sentToDelivered, from.sentToDelivered);
+  mergeDurations(into.deliveredToRead, from.deliveredToRead);
+  return into;
+}
+
+// Function to tally a set of messages on top of the tally of messages already expired from memory
+function tallyStates(states, retired = null) {
+  const tally = retired ? mergeTally(createTally(true), retired) : createTally(false);
+  states.forEach(state => tallyMessage(tally, state));
+  return tally;
+}
+
+// Function to build the status funnel and transition latencies
+function calculateStatusMetrics(metrics) {
+  return {
+    counts: metrics.statusCounts,
+    ...describeTally(tallyStates(Object.values(metrics.wamidStates), metrics.lowMemory?.retired)),
+    failures: Object.values(metrics.failureReasons).sort((a, b) => b.count - a.count)
+  };
+}
+
+// Function to summarize a tally as current statuses, the funnel with its rates and transition latencies
+function describeTally(tally) {
+  const { funnel } = tally;
+  const rate = (part, whole) => whole > 0 ? ((part / whole) * 100).toFixed(2) + '%' : '0%';
+
+  return {
+    current: tally.current,
+    funnel: {
+      ...funnel,
+      deliveryRate: rate(funnel.delivered, funnel.sent),
+      readRate: rate(funnel.read, funnel.delivered),
+      failureRate: rate(funnel.failed, tally.messages)
+    },
+    latency: {
+      sentToDelivered: summarizeDurations(tally.sentToDelivered),
+      deliveredToRead: summarizeDurations(tally.deliveredToRead)
+    }
+  };
+}
+
+// Function to count a message into each --group-by level it belongs to, keyed by its path of values
+function tallyGroups(groups, state, fields, approximate) {
+  fields.forEach((field, depth) => {
+    const values = fields.slice(0, depth + 1).map((_, index) => state.groupValues ? state.groupValues[index] : '(none)');
+    const key = JSON.stringify(values);
+    const group = groups[key] = groups[key] || { values, tally: createTally(approximate), perBucket: {} };
+    tallyMessage(group.tally, state);
+    group.perBucket[state.timeKey] = (group.perBucket[state.timeKey] || 0) + 1;
+  });
+}
+
+// Function to fold group tallies of expired messages into another set (low-memory mode only)
+function mergeGroups(into, from) {
+  Object.entries(from).forEach(([key, group]) => {
+    const target = into[key] = into[key] || { values: group.values, tally: createTally(true), perBucket: {} };
+    mergeTally(target.tally, group.tally);
+    Object.entries(group.perBucket).forEach(([timeKey, count]) => {
+      target.perBucket[timeKey] = (target.perBucket[timeKey] || 0) + count;
+    });
+  });
+  return into;
+}
+
+// Function to break messages down by the --group-by opaque data keys, one nesting level per key
+function calculateGroupMetrics(analyzer) {
+  const { metrics, groupBy: fields } = analyzer;
+  if (!fields.length) return [];
+
+  const groups = metrics.lowMemory ? mergeGroups({}, metrics.lowMemory.retiredGroups) : {};
+  Object.values(metrics.wamidStates).forEach(state => tallyGroups(groups, state, fields, Boolean(metrics.lowMemory)));
+
+  // A group's subgroups are the groups one level deeper that share its values
+  const build = prefix => Object.values(groups)
+    .filter(group => group.values.length === prefix.length + 1 && prefix.every((value, index) => group.values[index] === value))
+    .map(group => {
+      const depth = prefix.length;
+      const [peakAt, peak] = Object.entries(group.perBucket).reduce((best, entry) => entry[1] > best[1] ? entry : best, [null, 0]);
+
+      return {
+        field: fields[depth],
+        value: group.values[depth],
+        messages: group.tally.messages,
+        ...describeTally(group.tally),
+        throughput: { peakMessagesPerBucket: peak, peakAt, perBucket: group.perBucket },
+        ...(depth + 1 < fields.length ? { groups: build(group.values) } : {})
+      };
+    })
+    .sort((a, b) => b.messages - a.messages);
+
+  return build([]);
+}
+
+// Function to get the canvas charting code shared by the HTML reports, so they work offline
+function chartScript() {
+  return `const chartPalette = ['#25D366', '#128C7E', '#075E54', '#34B7F1', '#5BC0DE', '#4BC0C0', '#36A2EB', '#9966FF', '#FF9F40', '#FF6384'];
+    const renderedCharts = [];
+
+    // Round an axis step up to 1, 2 or 5 times a power of ten
+    function niceStep(range) {
+      const magnitude = Math.pow(10, Math.floor(Math.log10(range || 1)));
+      const fraction = (range || 1) / magnitude;
+      return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+    }
+
+    function chartTooltip() {
+      let tooltip = document.getElementById('chartTooltip');
+      if (!tooltip) {
+        tooltip = document.createElement('div');
+        tooltip.id = 'chartTooltip';
+        tooltip.className = 'chart-tooltip';
+        document.body.appendChild(tooltip);
+      }
+      return tooltip;
+    }
+
+    function showTooltip(event, lines) {
+      const tooltip = chartTooltip();
+      tooltip.textContent = '';
+      lines.forEach(function(line) {
+        const row = document.createElement('div');
+        row.textContent = line;
+        tooltip.appendChild(row);
+      });
+      tooltip.style.display = 'block';
+      tooltip.style.left = (event.pageX + 12) + 'px';
+      tooltip.style.top = (event.pageY + 12) + 'px';
+    }
+
+    function hideTooltip() {
+      chartTooltip().style.display = 'none';
+    }
+
+    // Draw a line, bar or pie chart: { type, labels, datasets: [{ label, data, color, colors }], yMax, legend },
+    // optionally with annotations: [{ from, to, label, color }] shading label indexes, onClick(index),
+    // onSelectRange(fromIndex, toIndex) for dragging and onReset for double-click
+    function renderChart(canvas, config) {
+      const ratio = window.devicePixelRatio || 1;
+      const width = canvas.clientWidth;
+      const height = canvas.clientHeight;
+      canvas.width = width * ratio;
+      canvas.height = height * ratio;
+      const ctx = canvas.getContext('2d');
+      ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.font = '12px Arial, sans-serif';
+      ctx.textBaseline = 'middle';
+
+      if (renderedCharts.indexOf(canvas) === -1) {
+        renderedCharts.push(canvas);
+        canvas.chartConfig = config;
+        canvas.addEventListener('mouseleave', hideTooltip);
+        canvas.addEventListener('mousemove', function(event) {
+          if (canvas.brush) {
+            canvas.brush.to = event.offsetX;
+            renderChart(canvas, canvas.chartConfig);
+            return;
+          }
+          const lines = canvas.chartHitTest ? canvas.chartHitTest(event.offsetX, event.offsetY) : null;
+          if (lines) showTooltip(event, lines); else hideTooltip();
+        });
+        canvas.addEventListener('click', function(event) {
+          const index = canvas.chartIndexAt(event.offsetX, event.offsetY);
+          if (index !== -1 && canvas.chartConfig.onClick) canvas.chartConfig.onClick(index);
+        });
+        canvas.addEventListener('mousedown', function(event) {
+          if (canvas.chartConfig.onSelectRange) canvas.brush = { from: event.offsetX, to: event.offsetX };
+        });
+        canvas.addEventListener('mouseup', function() {
+          const brush = canvas.brush;
+          if (!brush) return;
+          canvas.brush = null;
+          const from = canvas.chartIndexAt(Math.min(brush.from, brush.to));
+          const to = canvas.chartIndexAt(Math.max(brush.from, brush.to));
+          if (from !== to) canvas.chartConfig.onSelectRange(from, to); else renderChart(canvas, canvas.chartConfig);
+        });
+        canvas.addEventListener('dblclick', function() {
+          if (canvas.chartConfig.onReset) canvas.chartConfig.onReset();
+        });
+      }
+      canvas.chartConfig = config;
+
+      if (config.type === 'pie') {
+        drawPie(canvas, ctx, config, width, height);
+      } else {
+        drawAxes(canvas, ctx, config, width, height);
+      }
+    }
+
+    function drawPie(canvas, ctx, config, width, height) {
+      const dataset = config.datasets[0];
+      const colors = dataset.colors || chartPalette;
+      const total = dataset.data.reduce(function(sum, value) { return sum + value; }, 0);
+      const legendWidth = Math.min(220, width / 2);
+      const radius = Math.max(10, Math.min(width - legendWidth, height) / 2 - 10);
+      const centerX = (width - legendWidth) / 2;
+      const centerY = height / 2;
+
+      let angle = -Math.PI / 2;
+      const slices = dataset.data.map(function(value, index) {
+        const sweep = total ? (value / total) * Math.PI * 2 : 0;
+        ctx.beginPath();
+        ctx.moveTo(centerX, centerY);
+        ctx.arc(centerX, centerY, radius, angle, angle + sweep);
+        ctx.closePath();
+        ctx.fillStyle = colors[index % colors.length];
+        ctx.fill();
+        const slice = { start: angle, end: angle + sweep };
+        angle += sweep;
+        return slice;
+      });
+
+      const percent = function(value) { return total ? ((value / total) * 100).toFixed(2) + '%' : '0%'; };
+      config.labels.forEach(function(label, index) {
+        const y = 20 + index * 20;
+        if (y > height - 10) return;
+        ctx.fillStyle = colors[index % colors.length];
+        ctx.fillRect(width - legendWidth + 10, y - 6, 12, 12);
+        ctx.fillStyle = '#333';
+        ctx.textAlign = 'left';
+        ctx.fillText(label + ' (' + percent(dataset.data[index]) + ')', width - legendWidth + 28, y);
+      });
+
+      canvas.chartIndexAt = function(x, y) {
+        const dx = x - centerX;
+        const dy = y - centerY;
+        if (Math.sqrt(dx * dx + dy * dy) > radius) return -1;
+        let pointer = Math.atan2(dy, dx);
+        if (pointer < -Math.PI / 2) pointer += Math.PI * 2;
+        return slices.findIndex(function(slice) { return pointer >= slice.start && pointer < slice.end; });
+      };
+      canvas.chartHitTest = function(x, y) {
+        const index = canvas.chartIndexAt(x, y);
+        return index === -1 ? null : [config.labels[index] + ': ' + dataset.data[index] + ' (' + percent(dataset.data[index]) + ')'];
+      };
+    }
+
+    function drawAxes(canvas, ctx, config, width, height) {
+      const legend = config.legend !== false;
+      const plot = { left: 50, right: width - 15, top: legend ? 30 : 10, bottom: height - 30 };
+      const plotWidth = Math.max(1, plot.right - plot.left);
+      const plotHeight = Math.max(1, plot.bottom - plot.top);
+      const count = config.labels.length;
+
+      // Reduced rather than spread into Math.max, which overflows the stack on long spans
+      const highest = config.datasets.reduce(function(max, dataset) {
+        return dataset.data.reduce(function(datasetMax, value) { return value > datasetMax ? value : datasetMax; }, max);
+      }, Math.max(config.yMax || 0, 1));
+      const step = niceStep(highest / 5);
+      const yMax = Math.ceil(highest / step) * step;
+      const yFor = function(value) { return plot.bottom - (value / yMax) * plotHeight; };
+
+      // Horizontal grid lines with their values
+      ctx.strokeStyle = '#e5e5e5';
+      ctx.fillStyle = '#666';
+      ctx.textAlign = 'right';
+      for (let tick = 0; tick <= yMax; tick += step) {
+        ctx.beginPath();
+        ctx.moveTo(plot.left, yFor(tick));
+        ctx.lineTo(plot.right, yFor(tick));
+        ctx.stroke();
+        ctx.fillText(String(Number(tick.toFixed(2))), plot.left - 6, yFor(tick));
+      }
+
+      // Category positions: lines use the full width, bars the middle of each slot
+      const slot = plotWidth / Math.max(1, count);
+      const xFor = config.type === 'line' ?
+        function(index) { return plot.left + (count > 1 ? (index / (count - 1)) * plotWidth : plotWidth / 2); } :
+        function(index) { return plot.left + slot * (index + 0.5); };
+
+      // Skip labels so they do not overlap
+      const every = Math.max(1, Math.ceil(count * 70 / plotWidth));
+      ctx.textAlign = 'center';
+      ctx.fillStyle = '#666';
+      config.labels.forEach(function(label, index) {
+        if (index % every === 0) ctx.fillText(String(label), xFor(index), plot.bottom + 14);
+      });
+
+      // Annotated ranges are shaded behind the data, with a marker along the top of the plot
+      const annotations = config.annotations || [];
+      annotations.forEach(function(annotation) {
+        const half = config.type === 'line' ? (count > 1 ? plotWidth / (count - 1) / 2 : plotWidth / 2) : slot / 2;
+        const from = Math.max(plot.left, xFor(annotation.from) - half);
+        const to = Math.min(plot.right, xFor(annotation.to) + half);
+        ctx.fillStyle = annotation.color;
+        ctx.globalAlpha = 0.15;
+        ctx.fillRect(from, plot.top, Math.max(1, to - from), plotHeight);
+        ctx.globalAlpha = 1;
+        ctx.fillRect(from, plot.top, Math.max(1, to - from), 3);
+      });
+
+      config.datasets.forEach(function(dataset, datasetIndex) {
+        const color = dataset.color || chartPalette[datasetIndex % chartPalette.length];
+        if (config.type === 'line') {
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 2;
+          ctx.beginPath();
+          dataset.data.forEach(function(value, index) {
+            if (index) ctx.lineTo(xFor(index), yFor(value)); else ctx.moveTo(xFor(index), yFor(value));
+          });
+          ctx.stroke();
+          ctx.lineWidth = 1;
+        } else {
+          const barWidth = (slot * 0.8) / config.datasets.length;
+          dataset.data.forEach(function(value, index) {
+            ctx.fillStyle = dataset.colors ? dataset.colors[index % dataset.colors.length] : color;
+            const x = plot.left + slot * index + slot * 0.1 + barWidth * datasetIndex;
+            ctx.fillRect(x, yFor(value), Math.max(1, barWidth - 1), plot.bottom - yFor(value));
+          });
+        }
+      });
+
+      if (legend) {
+        let x = plot.left;
+        ctx.textAlign = 'left';
+        config.datasets.forEach(function(dataset, datasetIndex) {
+          ctx.fillStyle = dataset.color || chartPalette[datasetIndex % chartPalette.length];
+          ctx.fillRect(x, 9, 12, 12);
+          ctx.fillStyle = '#333';
+          ctx.fillText(dataset.label, x + 16, 15);
+          x += 30 + ctx.measureText(dataset.label).width;
+        });
+      }
+
+      // Dragging across the plot shades the range being selected
+      if (canvas.brush) {
+        const from = Math.max(plot.left, Math.min(canvas.brush.from, canvas.brush.to));
+        const to = Math.min(plot.right, Math.max(canvas.brush.from, canvas.brush.to));
+        ctx.fillStyle = 'rgba(18, 140, 126, 0.15)';
+        ctx.fillRect(from, plot.top, Math.max(0, to - from), plotHeight);
+      }
+
+      // The category under x, clamped to the plot so drags can end outside it
+      canvas.chartIndexAt = function(x) {
+        if (!count) return -1;
+        const offset = Math.max(0, Math.min(plotWidth, x - plot.left));
+        return config.type === 'line' ?
+          Math.round((offset / plotWidth) * (count - 1)) :
+          Math.min(count - 1, Math.floor(offset / slot));
+      };
+      canvas.chartHitTest = function(x, y) {
+        if (x < plot.left || x > plot.right || y < plot.top || y > plot.bottom || !count) return null;
+        const index = canvas.chartIndexAt(x);
+        return [String(config.labels[index])].concat(config.datasets.map(function(dataset) {
+          return dataset.label + ': ' + dataset.data[index];
+        }), annotations.filter(function(annotation) {
+          return annotation.from <= index && index <= annotation.to;
+        }).map(function(annotation) { return annotation.label; }));
+      };
+    }
+
+    window.addEventListener('resize', function() {
+      renderedCharts.forEach(function(canvas) { renderChart(canvas, canvas.chartConfig); });
+    });`;
+}
+
+// Function to get the client code for the report's WABA/time selection, tables and message lookup
+function explorerScript() {
+  return `// Selection shared by every section: a WABA number and/or a range of buckets (labels plus epoch ms bounds)
+    const selection = { wabaNumber: null, from: null, to: null, fromMs: null, toMs: null };
+    const tables = {};
+
+    // Anomalies within the charted buckets as annotations; with a WABA number selected, only that number's
+    function anomalyAnnotations(anomalies, labels) {
+      if (!labels.length) return [];
+      return anomalies.filter(function(anomaly) {
+        return (!selection.wabaNumber || anomaly.wabaNumber === selection.wabaNumber) &&
+          anomaly.until >= labels[0] && anomaly.timeWindow <= labels[labels.length - 1];
+      }).map(function(anomaly) {
+        const to = labels.indexOf(anomaly.until);
+        return {
+          from: Math.max(0, labels.indexOf(anomaly.timeWindow)),
+          to: to === -1 ? labels.length - 1 : to,
+          color: anomaly.severity === 'critical' ? '#FF6384' : '#FF9F40',
+          label: anomaly.severity + ': ' + (anomaly.series === 'waba' ? 'WABA ' + anomaly.wabaNumber : anomaly.series) + ' ' + anomaly.kind +
+            ', expected ' + anomaly.expected + ', observed ' + anomaly.observed
+        };
+      });
+    }
+
+    function percentileOf(sorted, p) {
+      return sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)] : 'N/A';
+    }
+
+    function rateOf(part, whole) {
+      return whole > 0 ? ((part / whole) * 100).toFixed(2) + '%' : '0%';
+    }
+
+    function summarize(values) {
+      const sorted = values.slice().sort(function(a, b) { return a - b; });
+      const total = sorted.reduce(function(sum, value) { return sum + value; }, 0);
+      return {
+        count: sorted.length,
+        avgMs: (sorted.length ? total / sorted.length : 0).toFixed(2),
+        minMs: sorted.length ? sorted[0] : 'N/A',
+        maxMs: sorted.length ? sorted[sorted.length - 1] : 'N/A',
+        p50Ms: percentileOf(sorted, 50),
+        p95Ms: percentileOf(sorted, 95),
+        p99Ms: percentileOf(sorted, 99)
+      };
+    }
+
+    function inRange(timestamp) {
+      const time = Date.parse(timestamp);
+      return selection.fromMs === null || (time >= selection.fromMs && time < selection.toMs);
+    }
+
+    // Index of the bucket (by start time) a timestamp falls in, or -1
+    function bucketIndex(intervals, bucketMs, timestamp) {
+      const time = Date.parse(timestamp);
+      let low = 0;
+      let high = intervals.length - 1;
+      while (low <= high) {
+        const middle = (low + high) >> 1;
+        const start = Date.parse(intervals[middle].start);
+        if (time < start) high = middle - 1;
+        else if (time >= start + bucketMs) low = middle + 1;
+        else return middle;
+      }
+      return -1;
+    }
+
+    function hasSelection() {
+      return Boolean(selection.wabaNumber || selection.fromMs !== null);
+    }
+
+    // Messages of the selected WABA number first seen in the selected range
+    function selectedMessages(metrics) {
+      return metrics.messageDetails.filter(function(message) {
+        return (!selection.wabaNumber || message.wabaNumber === selection.wabaNumber) && inRange(message.firstSeen);
+      });
+    }
+
+    // Error and warning lines carry no WABA field, so a selected number matches lines mentioning it
+    function selectedLines(lines) {
+      return lines.filter(function(line) {
+        return inRange(line.timestamp) && (!selection.wabaNumber || line.message.indexOf(selection.wabaNumber) !== -1);
+      });
+    }
+
+    function firstTime(message, status) {
+      let first = null;
+      message.timeline.forEach(function(callback) {
+        const time = Date.parse(callback.at);
+        if (callback.status === status && (first === null || time < first)) first = time;
+      });
+      return first;
+    }
+
+    // Recompute the card figures for the selected messages, keyed like the data-field attributes
+    function computeView(metrics, messages) {
+      const funnel = { sent: 0, delivered: 0, read: 0, failed: 0 };
+      const sentToDelivered = [];
+      const deliveredToRead = [];
+      const processing = [];
+      const msgIds = {};
+      messages.forEach(function(message) {
+        const sent = firstTime(message, 'sent');
+        const delivered = firstTime(message, 'delivered');
+        const read = firstTime(message, 'read');
+        if (sent || delivered || read) funnel.sent++;
+        if (delivered || read) funnel.delivered++;
+        if (read) funnel.read++;
+        if (firstTime(message, 'failed')) funnel.failed++;
+        if (sent && delivered && delivered >= sent) sentToDelivered.push(delivered - sent);
+        if (delivered && read && read >= delivered) deliveredToRead.push(read - delivered);
+        if (message.processingTimeMs !== null) processing.push(message.processingTimeMs);
+        if (message.msgId) msgIds[message.msgId] = true;
+      });
+
+      const seconds = selection.fromMs !== null ?
+        (selection.toMs - selection.fromMs) / 1000 :
+        Number(metrics.duration.seconds);
+      const toDelivered = summarize(sentToDelivered);
+      const toRead = summarize(deliveredToRead);
+      const stored = summarize(processing);
+      const wabaCount = {};
+      messages.forEach(function(message) { wabaCount[message.wabaNumber] = true; });
+
+      return {
+        funnel: funnel,
+        processing: processing,
+        fields: {
+          'messages.total': messages.length,
+          'messages.perSecond': (messages.length / (seconds || 1)).toFixed(2),
+          'messages.successRate': rateOf(processing.length, messages.length),
+          'wamids.unique': messages.length,
+          'messageIds.unique': Object.keys(msgIds).length,
+          'wabaNumbers.count': Object.keys(wabaCount).length,
+          'storeOperations': processing.length,
+          'statuses.funnel.sent': funnel.sent,
+          'statuses.funnel.delivered': funnel.delivered,
+          'statuses.funnel.deliveryRate': rateOf(funnel.delivered, funnel.sent),
+          'statuses.funnel.read': funnel.read,
+          'statuses.funnel.readRate': rateOf(funnel.read, funnel.delivered),
+          'statuses.funnel.failed': funnel.failed,
+          'statuses.funnel.failureRate': rateOf(funnel.failed, messages.length),
+          'statuses.latency.sentToDelivered.p50Ms': toDelivered.p50Ms,
+          'statuses.latency.sentToDelivered.p95Ms': toDelivered.p95Ms,
+          'statuses.latency.sentToDelivered.count': toDelivered.count,
+          'statuses.latency.deliveredToRead.p50Ms': toRead.p50Ms,
+          'statuses.latency.deliveredToRead.p95Ms': toRead.p95Ms,
+          'statuses.latency.deliveredToRead.count': toRead.count,
+          'processing.avgTimeMs': stored.avgMs,
+          'processing.minTimeMs': stored.minMs,
+          'processing.maxTimeMs': stored.maxMs,
+          'processing.p50TimeMs': stored.p50Ms,
+          'processing.p95TimeMs': stored.p95Ms,
+          'processing.p99TimeMs': stored.p99Ms,
+          'processing.measuredMessages': stored.count,
+          'processing.orphans.count': messages.length - processing.length
+        }
+      };
+    }
+
+    // A searchable, sortable, paginated table drawn into container; rows are arrays of cell values
+    function dataTable(container, columns, rows, onRowClick) {
+      const state = tables[container.id] || { query: '', sortColumn: null, descending: false, page: 0 };
+      tables[container.id] = state;
+      const pageSize = 25;
+
+      const draw = function() {
+        const query = state.query.toLowerCase();
+        let visible = rows.filter(function(row) {
+          return !query || row.some(function(cell) { return String(cell === null ? '' : cell).toLowerCase().indexOf(query) !== -1; });
+        });
+        if (state.sortColumn !== null) {
+          visible = visible.slice().sort(function(a, b) {
+            const left = a[state.sortColumn];
+            const right = b[state.sortColumn];
+            const order = typeof left === 'number' && typeof right === 'number' ? left - right : String(left).localeCompare(String(right));
+            return state.descending ? -order : order;
+          });
+        }
+        const pages = Math.max(1, Math.ceil(visible.length / pageSize));
+        state.page = Math.min(state.page, pages - 1);
+
+        container.textContent = '';
+        const search = document.createElement('input');
+        search.type = 'search';
+        search.placeholder = 'Search...';
+        search.value = state.query;
+        search.className = 'table-search';
+        search.addEventListener('input', function() {
+          state.query = search.value;
+          state.page = 0;
+          draw();
+          container.querySelector('.table-search').focus();
+        });
+        container.appendChild(search);
+
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        columns.forEach(function(column, index) {
+          const cell = document.createElement('th');
+          cell.textContent = column + (state.sortColumn === index ? (state.descending ? ' \\u25BC' : ' \\u25B2') : '');
+          cell.className = 'sortable';
+          cell.addEventListener('click', function() {
+            state.descending = state.sortColumn === index ? !state.descending : false;
+            state.sortColumn = index;
+            draw();
+          });
+          header.appendChild(cell);
+        });
+        visible.slice(state.page * pageSize, (state.page + 1) * pageSize).forEach(function(row) {
+          const tableRow = table.insertRow();
+          row.forEach(function(value) {
+            tableRow.insertCell().textContent = value === null ? 'N/A' : value;
+          });
+          if (onRowClick) {
+            tableRow.className = 'clickable';
+            tableRow.addEventListener('click', function() { onRowClick(row); });
+          }
+        });
+        container.appendChild(table);
+
+        const pager = document.createElement('div');
+        pager.className = 'pager';
+        const button = function(label, page, disabled) {
+          const element = document.createElement('button');
+          element.textContent = label;
+          element.disabled = disabled;
+          element.addEventListener('click', function() { state.page = page; draw(); });
+          pager.appendChild(element);
+        };
+        button('Previous', state.page - 1, state.page === 0);
+        pager.appendChild(document.createTextNode(' Page ' + (state.page + 1) + ' of ' + pages + ' (' + visible.length + ' rows) '));
+        button('Next', state.page + 1, state.page >= pages - 1);
+        container.appendChild(pager);
+      };
+      draw();
+    }
+
+    // Show every callback for a wamid or msg_id
+    function lookupMessage(metrics, query) {
+      const result = document.getElementById('lookupResult');
+      result.textContent = '';
+      if (metrics.memory.lowMemory) {
+        result.textContent = 'Message timelines are not kept in low-memory mode';
+        return;
+      }
+      const matches = metrics.messageDetails.filter(function(message) {
+        return message.wamid === query || message.msgId === query;
+      });
+      if (!matches.length) {
+        result.textContent = query ? 'No message with wamid or msg_id ' + query : '';
+        return;
+      }
+
+      matches.forEach(function(message) {
+        const summary = document.createElement('div');
+        summary.className = 'metric-value';
+        summary.textContent = message.wamid + ' (msg_id ' + (message.msgId || 'N/A') + ', WABA ' + message.wabaNumber + ', recipient ' + message.recipient + '): ' +
+          (message.status || 'unknown') + ', first seen ' + message.firstSeen +
+          (message.storedAt ? ', stored ' + message.storedAt + ' after ' + message.processingTimeMs + 'ms' : ', never stored');
+        result.appendChild(summary);
+
+        const table = document.createElement('table');
+        const header = table.insertRow();
+        ['Status', 'Status Time', 'Logged At', 'Since First Callback', 'Errors'].forEach(function(title) {
+          const cell = document.createElement('th');
+          cell.textContent = title;
+          header.appendChild(cell);
+        });
+        const timeline = message.timeline.slice().sort(function(a, b) { return Date.parse(a.at) - Date.parse(b.at); });
+        timeline.forEach(function(callback) {
+          const row = table.insertRow();
+          row.insertCell().textContent = callback.status;
+          row.insertCell().textContent = callback.at;
+          row.insertCell().textContent = callback.loggedAt;
+          row.insertCell().textContent = (Date.parse(callback.at) - Date.parse(timeline[0].at)) + 'ms';
+          row.insertCell().textContent = callback.errors.map(function(error) { return error.code + ' ' + error.title; }).join(', ');
+        });
+        result.appendChild(table);
+      });
+    }
+
+    // Re-render every section that depends on the selection
+    function applySelection(metrics) {
+      const messages = selectedMessages(metrics);
+      const view = computeView(metrics, messages);
+      const filtered = hasSelection();
+
+      document.querySelectorAll('[data-field]').forEach(function(element) {
+        element.textContent = filtered ? view.fields[element.getAttribute('data-field')] : element.getAttribute('data-original');
+      });
+      document.querySelectorAll('.selection-only').forEach(function(element) {
+        element.style.display = filtered ? 'block' : 'none';
+      });
+
+      const parts = [];
+      if (selection.wabaNumber) parts.push('WABA ' + selection.wabaNumber);
+      if (selection.from) parts.push(selection.from + ' to ' + selection.to);
+      document.getElementById('selectionLabel').textContent = parts.length ? parts.join(', ') : 'all WABA numbers, full time range';
+
+      // Throughput over the selected buckets; per-WABA figures come from the message details
+      const bucketMs = metrics.throughput.bucket.ms;
+      const intervals = metrics.throughput.intervals.filter(function(interval) { return inRange(interval.start); });
+      const labels = intervals.map(function(interval) { return interval.timeWindow; });
+      let datasets;
+      if (selection.wabaNumber) {
+        const sent = intervals.map(function() { return 0; });
+        const stored = intervals.map(function() { return 0; });
+        messages.forEach(function(message) {
+          const index = bucketIndex(intervals, bucketMs, message.firstSeen);
+          if (index !== -1) sent[index]++;
+        });
+        metrics.messageDetails.forEach(function(message) {
+          if (message.wabaNumber !== selection.wabaNumber || !message.storedAt) return;
+          const index = bucketIndex(intervals, bucketMs, message.storedAt);
+          if (index !== -1) stored[index]++;
+        });
+        datasets = [
+          { label: 'Messages', data: sent, color: '#25D366' },
+          { label: 'Store Operations', data: stored, color: '#128C7E' }
+        ];
+      } else {
+        datasets = [
+          { label: 'Messages', data: intervals.map(function(interval) { return interval.messages; }), color: '#25D366' },
+          { label: 'Store Operations', data: intervals.map(function(interval) { return interval.stores; }), color: '#128C7E' },
+          { label: 'Cache Hits', data: intervals.map(function(interval) { return interval.cacheHits; }), color: '#075E54' }
+        ];
+      }
+      renderChart(document.getElementById('throughputChart'), {
+        type: 'line',
+        labels: labels,
+        datasets: datasets,
+        annotations: anomalyAnnotations(metrics.throughput.anomalies, labels),
+        onSelectRange: metrics.memory.lowMemory ? null : function(fromIndex, toIndex) {
+          selection.from = labels[fromIndex];
+          selection.to = labels[toIndex];
+          selection.fromMs = Date.parse(intervals[fromIndex].start);
+          selection.toMs = Date.parse(intervals[toIndex].start) + bucketMs;
+          applySelection(metrics);
+        },
+        onReset: function() {
+          selection.from = null;
+          selection.to = null;
+          selection.fromMs = null;
+          selection.toMs = null;
+          applySelection(metrics);
+        }
+      });
+
+      // Without a selection the charts use the whole-log figures, which low-memory reports only have in aggregate
+      const buckets = metrics.processing.histogram;
+      const histogram = buckets.map(function(bucket) { return filtered ? 0 : bucket.count; });
+      const funnel = filtered ? view.funnel : metrics.statuses.funnel;
+      if (filtered) {
+        view.processing.forEach(function(duration) {
+          const index = buckets.findIndex(function(bucket) { return bucket.upperBoundMs !== null && duration <= bucket.upperBoundMs; });
+          histogram[index === -1 ? histogram.length - 1 : index]++;
+        });
+      }
+      renderChart(document.getElementById('processingHistogramChart'), {
+        type: 'bar',
+        legend: false,
+        labels: buckets.map(function(bucket) { return bucket.bucket; }),
+        datasets: [{ label: 'Messages', data: histogram, color: '#128C7E' }]
+      });
+
+      renderChart(document.getElementById('funnelChart'), {
+        type: 'bar',
+        legend: false,
+        labels: ['Sent', 'Delivered', 'Read', 'Failed'],
+        datasets: [{
+          label: 'Messages',
+          data: [funnel.sent, funnel.delivered, funnel.read, funnel.failed],
+          colors: ['#34B7F1', '#128C7E', '#25D366', '#FF6384']
+        }]
+      });
+
+      dataTable(document.getElementById('messagesTable'),
+        ['wamid', 'msg_id', 'WABA Number', 'Recipient', 'Status', 'First Seen', 'Stored At', 'Processing (ms)'],
+        messages.map(function(message) {
+          return [message.wamid, message.msgId, message.wabaNumber, message.recipient, message.status, message.firstSeen, message.storedAt, message.processingTimeMs];
+        }),
+        function(row) {
+          document.getElementById('lookupInput').value = row[0];
+          lookupMessage(metrics, row[0]);
+          document.getElementById('lookupInput').scrollIntoView();
+        });
+      [['errorsTable', metrics.errors], ['warningsTable', metrics.warnings]].forEach(function(entry) {
+        dataTable(document.getElementById(entry[0]), ['Timestamp', 'Message'], selectedLines(entry[1]).map(function(line) {
+          return [line.timestamp, line.message];
+        }));
+      });
+    }
+
+    function initExplorer(metrics) {
+      document.querySelectorAll('[data-field]').forEach(function(element) {
+        element.setAttribute('data-original', element.textContent);
+      });
+
+      // Low-memory reports have no per-message details to recompute a selection from
+      const selectable = !metrics.memory.lowMemory;
+      const wabaNumbers = Object.keys(metrics.wabaNumbers.messageDistribution);
+      renderChart(document.getElementById('wabaDistributionChart'), {
+        type: 'pie',
+        labels: wabaNumbers,
+        datasets: [{
+          label: 'Messages',
+          data: wabaNumbers.map(function(wabaNumber) { return metrics.wabaNumbers.messageDistribution[wabaNumber].messages; })
+        }],
+        // Clicking a slice selects that number, clicking it again clears the selection
+        onClick: selectable ? function(index) {
+          selection.wabaNumber = selection.wabaNumber === wabaNumbers[index] ? null : wabaNumbers[index];
+          applySelection(metrics);
+        } : null
+      });
+
+      // Per-group throughput always covers the whole log
+      if (metrics.bizData.groups.length) {
+        const labels = metrics.throughput.intervals.map(function(interval) { return interval.timeWindow; });
+        renderChart(document.getElementById('groupThroughputChart'), {
+          type: 'line',
+          labels: labels,
+          datasets: metrics.bizData.groups.slice(0, 8).map(function(group) {
+            return { label: group.value, data: labels.map(function(label) { return group.throughput.perBucket[label] || 0; }) };
+          })
+        });
+      }
+
+      document.getElementById('resetSelection').addEventListener('click', function() {
+        selection.wabaNumber = null;
+        selection.from = null;
+        selection.to = null;
+        selection.fromMs = null;
+        selection.toMs = null;
+        applySelection(metrics);
+      });
+      document.getElementById('lookupForm').addEventListener('submit', function(event) {
+        event.preventDefault();
+        lookupMessage(metrics, document.getElementById('lookupInput').value.trim());
+      });
+
+      applySelection(metrics);
+    }`;
+}
+
+// Function to escape log-derived text before it goes into HTML
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Function to serialize data for a <script> block without letting it close the block
+function embedJson(value) {
+  return JSON.stringify(value)
+    .replace(/</g, '\\u003c')
+    .replace(/\u2028/g, '\\u2028')
+    .replace(/\u2029/g, '\\u2029');
+}
+
+// Function to get the stylesheet shared by the HTML reports
+function reportStyles() {
+  return `body { font-family: Arial, sans-serif; margin: 20px; background-color: #f9f9f9; }
+    .container { max-width: 1200px; margin: 0 auto; }
+    h1 { color: #25D366; /* WhatsApp green */ }
+    .metric-card { 
+      background-color: white; 
+      border-radius: 8px; 
+      padding: 15px; 
+      margin-bottom: 15px;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .metrics-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+      gap: 15px;
+    }
+    .metric-title { font-weight: bold; margin-bottom: 8px; color: #075E54; /* WhatsApp dark green */ }
+    .metric-value { font-size: 1.2em; }
+    .highlight { color: #128C7E; /* WhatsApp medium green */ }
+    .error { color: #FF0000; }
+    .warning { color: #FFA500; }
+    .chart-container {
+      height: 300px;
+      margin-bottom: 20px;
+    }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin-bottom: 20px;
+    }
+    th, td {
+      padding: 8px;
+      text-align: left;
+      border-bottom: 1px solid #ddd;
+    }
+    th {
+      background-color: #f2f2f2;
+    }
+    tr:hover {
+      background-color: #f5f5f5;
+    }
+    .collapsible {
+      background-color: #f2f2f2;
+      color: #075E54;
+      cursor: pointer;
+      padding: 18px;
+      width: 100%;
+      border: none;
+      text-align: left;
+      outline: none;
+      font-size: 15px;
+      border-radius: 8px;
+      margin-bottom: 5px;
+    }
+    .active, .collapsible:hover {
+      background-color: #e6e6e6;
+    }
+    .chart-container canvas {
+      width: 100%;
+      height: 100%;
+    }
+    .table-search {
+      padding: 6px;
+      margin-bottom: 8px;
+      width: 300px;
+      max-width: 100%;
+    }
+    th.sortable {
+      cursor: pointer;
+    }
+    tr.clickable {
+      cursor: pointer;
+    }
+    .pager {
+      margin-bottom: 10px;
+    }
+    .selection-only {
+      display: none;
+    }
+    .chart-tooltip {
+      display: none;
+      position: absolute;
+      background-color: rgba(0,0,0,0.8);
+      color: white;
+      padding: 6px 8px;
+      border-radius: 4px;
+      font-size: 12px;
+      pointer-events: none;
+    }
+    .content {
+      padding: 0 18px;
+      max-height: 0;
+      overflow: hidden;
+      transition: max-height 0.2s ease-out;
+      background-color: #f9f9f9;
+      border-radius: 0 0 8px 8px;
+    }`;
+}
+
+// Function to generate HTML report
+function generateHtmlReport(metrics, messageDetails = []) {
+  const scope = escapeHtml(wabaScopeNote(metrics));
+  const groupRows = (groups, depth) => groups.map(group => `
+          <tr>
+            <td style="padding-left: ${8 + depth * 20}px">${escapeHtml(group.field)} = ${escapeHtml(group.value)}</td>
+            <td>${group.messages}</td>
+            <td>${group.funnel.delivered} (${group.funnel.deliveryRate})</td>
+            <td>${group.funnel.read} (${group.funnel.readRate})</td>
+            <td class="${group.funnel.failed ? 'error' : ''}">${group.funnel.failed}</td>
+            <td>${group.latency.sentToDelivered.p50Ms}</td>
+            <td>${group.latency.deliveredToRead.p50Ms}</td>
+            <td>${group.throughput.peakMessagesPerBucket}${group.throughput.peakAt ? ` at ${escapeHtml(group.throughput.peakAt)}` : ''}</td>
+          </tr>${group.groups ? groupRows(group.groups, depth + 1) : ''}`).join('');
+
+  // Everything from the log is escaped; the charts and tables draw from the embedded metrics JSON
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>WhatsApp Message Log Analysis</title>
+  <style>
+    ${reportStyles()}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>WhatsApp Message Log Analysis</h1>
+    
+    <div class="metric-card">
+      <div class="metric-title">Time Range & Overview</div>
+      <div class="metric-value">Filters: ${escapeHtml(formatFilters(metrics.filters))}</div>
+      ${scope ? '<div class="metric-value warning">The WABA filter narrows message and WABA figures only; sections marked (all WABA numbers) count the lines of every number.</div>' : ''}
+      <div class="metric-value">From: ${new Date(metrics.startTime).toLocaleString()}</div>
+      <div class="metric-value">To: ${new Date(metrics.endTime).toLocaleString()}</div>
+      <div class="metric-value">Duration: ${metrics.duration.seconds}s (${metrics.duration.minutes} min)</div>
+      <div class="metric-value">Success Rate: <span class="highlight"><span data-field="messages.successRate">${metrics.messages.successRate}</span></span></div>
+      <div class="metric-value"><a id="downloadMetrics" download="log-metrics.json" href="#">Download metrics JSON</a></div>
+    </div>
+    ${metrics.memory.lowMemory ? `
+    <div class="metric-card">
+      <div class="metric-title warning">Low-Memory Mode</div>
+      <div class="metric-value">Messages, pending stores and timing starts were forgotten after ${escapeHtml(metrics.memory.pendingTtl)} without activity (${metrics.memory.expired.messages} messages expired, ${metrics.memory.lateCallbacks} callbacks arrived later); lists keep ${metrics.memory.sampleSize} entries.</div>
+      <div class="metric-value">Approximate: ${escapeHtml(metrics.memory.approximate.join(', '))}</div>
+      <div class="metric-value">Message timelines are not kept, so the WABA and time range selection and the message lookup are unavailable.</div>
+    </div>
+    ` : ''}
+    <div class="metric-card selection-bar">
+      <div class="metric-title">Showing: <span id="selectionLabel">all WABA numbers, full time range</span> <button id="resetSelection">Reset</button></div>
+      <div class="metric-value">Click a slice of the WABA distribution to focus on one number; drag across the throughput chart to zoom into a time range (double-click to zoom out).</div>
+      <div class="metric-value selection-only warning">Job and cache figures and the collapsible sections below always cover the whole log.</div>
+    </div>
+    
+    <div class="metrics-grid">
+      <div class="metric-card">
+        <div class="metric-title">Message Metrics</div>
+        <div class="metric-value">Total Messages: <span class="highlight"><span data-field="messages.total">${metrics.messages.total}</span></span></div>
+        <div class="metric-value">Messages/Sec: <span class="highlight"><span data-field="messages.perSecond">${metrics.messages.perSecond}</span></span></div>
+        <div class="metric-value">Unique WAMIDs: <span data-field="wamids.unique">${metrics.wamids.unique}</span></div>
+        <div class="metric-value">Unique Message IDs: <span data-field="messageIds.unique">${metrics.messageIds.unique}</span></div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Status Funnel</div>
+        <div class="metric-value">Sent: <span data-field="statuses.funnel.sent">${metrics.statuses.funnel.sent}</span></div>
+        <div class="metric-value">Delivered: <span data-field="statuses.funnel.delivered">${metrics.statuses.funnel.delivered}</span> (<span class="highlight"><span data-field="statuses.funnel.deliveryRate">${metrics.statuses.funnel.deliveryRate}</span></span>)</div>
+        <div class="metric-value">Read: <span data-field="statuses.funnel.read">${metrics.statuses.funnel.read}</span> (<span class="highlight"><span data-field="statuses.funnel.readRate">${metrics.statuses.funnel.readRate}</span></span>)</div>
+        <div class="metric-value">Failed: <span class="error"><span data-field="statuses.funnel.failed">${metrics.statuses.funnel.failed}</span></span> (<span data-field="statuses.funnel.failureRate">${metrics.statuses.funnel.failureRate}</span>)</div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Status Latency</div>
+        <div class="metric-value">Sent → Delivered p50/p95: <span data-field="statuses.latency.sentToDelivered.p50Ms">${metrics.statuses.latency.sentToDelivered.p50Ms}</span>ms / <span data-field="statuses.latency.sentToDelivered.p95Ms">${metrics.statuses.latency.sentToDelivered.p95Ms}</span>ms</div>
+        <div class="metric-value">Delivered → Read p50/p95: <span data-field="statuses.latency.deliveredToRead.p50Ms">${metrics.statuses.latency.deliveredToRead.p50Ms}</span>ms / <span data-field="statuses.latency.deliveredToRead.p95Ms">${metrics.statuses.latency.deliveredToRead.p95Ms}</span>ms</div>
+        <div class="metric-value">Measured: <span data-field="statuses.latency.sentToDelivered.count">${metrics.statuses.latency.sentToDelivered.count}</span> delivered, <span data-field="statuses.latency.deliveredToRead.count">${metrics.statuses.latency.deliveredToRead.count}</span> read</div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">WABA Numbers</div>
+        <div class="metric-value">Count: <span class="highlight"><span data-field="wabaNumbers.count">${metrics.wabaNumbers.count}</span></span></div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Job Metrics</div>
+        <div class="metric-value">Completed Jobs: ${metrics.jobs.total}</div>
+        <div class="metric-value">Jobs/Second: ${metrics.jobs.perSecond}</div>
+        <div class="metric-value">Unique Job IDs: ${metrics.jobs.unique}</div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Cache Metrics</div>
+        <div class="metric-value">Cache Hits: ${metrics.cacheMetrics.hits}</div>
+        <div class="metric-value">Hits/WABA: ${metrics.cacheMetrics.hitsPerWabaNumber}</div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Storage Operations</div>
+        <div class="metric-value">Successful Stores: <span data-field="storeOperations">${metrics.storeOperations}</span></div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Processing Times</div>
+        <div class="metric-value">Average: <span class="highlight"><span data-field="processing.avgTimeMs">${metrics.processing.avgTimeMs}</span>ms</span></div>
+        <div class="metric-value">Min: <span data-field="processing.minTimeMs">${metrics.processing.minTimeMs}</span>ms</div>
+        <div class="metric-value">Max: <span data-field="processing.maxTimeMs">${metrics.processing.maxTimeMs}</span>ms</div>
+        <div class="metric-value">p50/p95/p99: <span data-field="processing.p50TimeMs">${metrics.processing.p50TimeMs}</span>ms / <span data-field="processing.p95TimeMs">${metrics.processing.p95TimeMs}</span>ms / <span data-field="processing.p99TimeMs">${metrics.processing.p99TimeMs}</span>ms</div>
+        <div class="metric-value">Measured: <span data-field="processing.measuredMessages">${metrics.processing.measuredMessages}</span></div>
+        <div class="metric-value">Never Stored: <span class="${metrics.processing.orphans.count ? 'error' : ''}"><span data-field="processing.orphans.count">${metrics.processing.orphans.count}</span></span></div>
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Message Throughput Over Time (per ${escapeHtml(metrics.throughput.bucket.size)}, ${escapeHtml(metrics.throughput.bucket.timeZone)})</div>
+      <div class="chart-container">
+        <canvas id="throughputChart"></canvas>
+      </div>
+    </div>
+    ${metrics.bizData.groups.length ? `
+    <div class="metric-card">
+      <div class="metric-title">Messages by ${escapeHtml(metrics.bizData.groupBy[0])} (per ${escapeHtml(metrics.throughput.bucket.size)}, top 8)</div>
+      <div class="chart-container">
+        <canvas id="groupThroughputChart"></canvas>
+      </div>
+    </div>
+    ` : ''}
+    
+    <div class="metric-card">
+      <div class="metric-title">Processing Time Histogram</div>
+      <div class="chart-container">
+        <canvas id="processingHistogramChart"></canvas>
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Delivery Funnel</div>
+      <div class="chart-container">
+        <canvas id="funnelChart"></canvas>
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">WABA Number Distribution</div>
+      <div class="chart-container">
+        <canvas id="wabaDistributionChart"></canvas>
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Message Lookup</div>
+      <form id="lookupForm">
+        <input id="lookupInput" class="table-search" placeholder="wamid or msg_id">
+        <button type="submit">Show timeline</button>
+      </form>
+      <div id="lookupResult"></div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Messages</div>
+      <div id="messagesTable"></div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Errors${scope}${metrics.errors.length < metrics.errorCount ? ` (a sample of ${metrics.errors.length} out of ${metrics.errorCount})` : ''}</div>
+      <div id="errorsTable"></div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Warnings${scope}${metrics.warnings.length < metrics.warningCount ? ` (a sample of ${metrics.warnings.length} out of ${metrics.warningCount})` : ''}</div>
+      <div id="warningsTable"></div>
+    </div>
+    
+    <button class="collapsible">WABA Message Distribution Details</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>WABA Number</th>
+          <th>Messages</th>
+          <th>Unique Message IDs</th>
+          <th>Unique WAMIDs</th>
+          <th>% of Total</th>
+        </tr>
+        ${Object.entries(metrics.wabaNumbers.messageDistribution).map(([wabaNumber, data]) => `
+          <tr>
+            <td>${escapeHtml(wabaNumber)}</td>
+            <td>${data.messages}</td>
+            <td>${data.uniqueMessageIds}</td>
+            <td>${data.uniqueWamids}</td>
+            <td>${data.percentOfTotal}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    <button class="collapsible">Throughput by Time Interval</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Per ${escapeHtml(metrics.throughput.bucket.size)}</th>
+          <th>Peak</th>
+          <th>Trough</th>
+          <th>Mean</th>
+          <th>Std Dev</th>
+        </tr>
+        ${[[`Log Lines${scope}`, 'lines'], ['Messages', 'messages'], ['Store Operations', 'stores'], ['Cache Hits', 'cacheHits'], ['Jobs', 'jobs'], [`Errors${scope}`, 'errors']].map(([label, column]) => `
+          <tr>
+            <td>${label}</td>
+            <td>${metrics.throughput.stats[column].peak} at ${escapeHtml(metrics.throughput.stats[column].peakAt)}</td>
+            <td>${metrics.throughput.stats[column].trough} at ${escapeHtml(metrics.throughput.stats[column].troughAt)}</td>
+            <td>${metrics.throughput.stats[column].mean}</td>
+            <td>${metrics.throughput.stats[column].stddev}</td>
+          </tr>
+        `).join('')}
+      </table>
+      <table>
+        <tr>
+          <th>Time Window</th>
+          <th>Log Lines${scope}</th>
+          <th>Messages</th>
+          <th>Store Operations</th>
+          <th>Cache Hits</th>
+          <th>Jobs</th>
+          <th>Errors${scope}</th>
+        </tr>
+        ${metrics.throughput.intervals.map(interval => `
+          <tr>
+            <td>${escapeHtml(interval.timeWindow)}</td>
+            <td>${interval.lines}</td>
+            <td>${interval.messages}</td>
+            <td>${interval.stores}</td>
+            <td>${interval.cacheHits}</td>
+            <td>${interval.jobs}</td>
+            <td>${interval.errors}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    ${metrics.throughput.anomalies.length ? `
+    <button class="collapsible ${metrics.throughput.anomalies.some(anomaly => anomaly.severity === 'critical') ? 'error' : 'warning'}">Throughput Anomalies (${metrics.throughput.anomalies.length})</button>
+    <div class="content">
+      <p>Buckets that stray from the median of the ${anomalyWindow} before them, shaded on the throughput chart.</p>
+      <table>
+        <tr>
+          <th>Time Window</th>
+          <th>Series</th>
+          <th>Kind</th>
+          <th>Expected</th>
+          <th>Observed</th>
+          <th>Score</th>
+          <th>Severity</th>
+        </tr>
+        ${metrics.throughput.anomalies.map(anomaly => `
+          <tr>
+            <td>${escapeHtml(anomaly.until !== anomaly.timeWindow ? `${anomaly.timeWindow} -> ${anomaly.until}` : anomaly.timeWindow)}</td>
+            <td>${escapeHtml(anomaly.series === 'waba' ? `WABA ${anomaly.wabaNumber}` : anomaly.series)}</td>
+            <td>${anomaly.kind}</td>
+            <td>${anomaly.expected}</td>
+            <td>${anomaly.observed}</td>
+            <td>${anomaly.score === null ? 'N/A' : anomaly.score}</td>
+            <td class="${anomaly.severity === 'critical' ? 'error' : 'warning'}">${anomaly.severity}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    ` : ''}
+    
+    ${metrics.throughput.idleGaps.length ? `
+    <button class="collapsible error">Idle Gaps, Potential Outages (${metrics.throughput.idleGaps.length})${scope}</button>
+    <div class="content">
+      <p>Stretches of ${escapeHtml(metrics.throughput.idleGapThreshold)} or more without a single log line.</p>
+      <table>
+        <tr>
+          <th>Last Line Before</th>
+          <th>First Line After</th>
+          <th>Duration</th>
+        </tr>
+        ${metrics.throughput.idleGaps.map(gap => `
+          <tr>
+            <td>${escapeHtml(gap.from)}</td>
+            <td>${escapeHtml(gap.to)}</td>
+            <td>${escapeHtml(gap.duration)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    ` : ''}
+    
+    ${metrics.bizData.groups.length ? `
+    <button class="collapsible">By ${escapeHtml(metrics.bizData.groupBy.join(' / '))} (${metrics.bizData.groups.length} groups)</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Group</th>
+          <th>Messages</th>
+          <th>Delivered</th>
+          <th>Read</th>
+          <th>Failed</th>
+          <th>Sent &rarr; Delivered p50 (ms)</th>
+          <th>Delivered &rarr; Read p50 (ms)</th>
+          <th>Peak per ${escapeHtml(metrics.throughput.bucket.size)}</th>
+        </tr>
+        ${groupRows(metrics.bizData.groups, 0)}
+      </table>
+    </div>
+    ` : ''}
+    ${metrics.bizData.malformed ? `<div class="metric-value warning">${metrics.bizData.malformed} messages had a biz_opaque_callback_data that was not a JSON object; their msg_id and groups are unknown.</div>` : ''}
+    
+    <button class="collapsible${metrics.recipients.abnormal.length ? ' warning' : ''}">Recipients (${metrics.recipients.count}, ${metrics.recipients.abnormal.length} abnormal)</button>
+    <div class="content">
+      <p>Recipients sent more than ${metrics.recipients.volumeLimit} messages are flagged as abnormal (mean ${metrics.recipients.meanMessages} per recipient).${metrics.recipients.masked ? ' Numbers are masked; run with --show-recipients to see them in full.' : ''}</p>
+      <table>
+        <tr>
+          <th>Recipient</th>
+          <th>Messages</th>
+          <th>Delivered</th>
+          <th>Read</th>
+          <th>Read Rate</th>
+          <th>Failed</th>
+          <th>Time to Read p50 (ms)</th>
+        </tr>
+        ${metrics.recipients.abnormal.concat(metrics.recipients.list.filter(recipient => !recipient.abnormal)).slice(0, 100).map(recipient => `
+          <tr${recipient.abnormal ? ' class="warning"' : ''}>
+            <td>${escapeHtml(recipient.recipient)}</td>
+            <td>${recipient.messages}</td>
+            <td>${recipient.delivered}</td>
+            <td>${recipient.read}</td>
+            <td>${recipient.readRate}</td>
+            <td>${recipient.failed}</td>
+            <td>${recipient.timeToRead.p50Ms}</td>
+          </tr>
+        `).join('')}
+      </table>
+      ${metrics.recipients.count > 100 ? `<p>Showing the top 100 of ${metrics.recipients.count} recipients by volume.</p>` : ''}
+    </div>
+    
+    ${metrics.duplicates.msgIds.length || metrics.duplicates.repeatedStatuses.length ? `
+    <button class="collapsible warning">Duplicates (${metrics.duplicates.msgIdsWithMultipleWamids} msg_ids, ${metrics.duplicates.repeatedStatusReports} repeated statuses)</button>
+    <div class="content">
+      ${metrics.duplicates.msgIds.length ? `
+      <h3>msg_ids Sent As Several wamids</h3>
+      <table>
+        <tr>
+          <th>msg_id</th>
+          <th>WABA Numbers</th>
+          <th>wamids</th>
+        </tr>
+        ${metrics.duplicates.msgIds.map(duplicate => `
+          <tr>
+            <td>${escapeHtml(duplicate.msgId)}</td>
+            <td>${escapeHtml(duplicate.wabaNumbers.join(', '))}</td>
+            <td>${escapeHtml(duplicate.wamids.join(', '))}</td>
+          </tr>
+        `).join('')}
+      </table>` : ''}
+      ${metrics.duplicates.repeatedStatuses.length ? `
+      <h3>Statuses Reported More Than Once</h3>
+      <table>
+        <tr>
+          <th>wamid</th>
+          <th>msg_id</th>
+          <th>Status</th>
+          <th>Reports</th>
+        </tr>
+        ${metrics.duplicates.repeatedStatuses.map(duplicate => `
+          <tr>
+            <td>${escapeHtml(duplicate.wamid)}</td>
+            <td>${escapeHtml(duplicate.msgId || '')}</td>
+            <td>${escapeHtml(duplicate.status)}</td>
+            <td>${duplicate.count}</td>
+          </tr>
+        `).join('')}
+      </table>` : ''}
+    </div>
+    ` : ''}
+    
+    <button class="collapsible">Status Latency Distribution</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Transition</th>
+          <th>Measured</th>
+          <th>Avg</th>
+          <th>Min</th>
+          <th>p50</th>
+          <th>p90</th>
+          <th>p95</th>
+          <th>p99</th>
+          <th>Max</th>
+        </tr>
+        ${[['Sent → Delivered', metrics.statuses.latency.sentToDelivered], ['Delivered → Read', metrics.statuses.latency.deliveredToRead]].map(([label, latency]) => `
+          <tr>
+            <td>${label}</td>
+            <td>${latency.count}</td>
+            <td>${latency.avgMs}ms</td>
+            <td>${latency.minMs}ms</td>
+            <td>${latency.p50Ms}ms</td>
+            <td>${latency.p90Ms}ms</td>
+            <td>${latency.p95Ms}ms</td>
+            <td>${latency.p99Ms}ms</td>
+            <td>${latency.maxMs}ms</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    <button class="collapsible">Processing Time by WABA Number</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>WABA Number</th>
+          <th>Measured</th>
+          <th>Avg</th>
+          <th>p50</th>
+          <th>p95</th>
+          <th>p99</th>
+          <th>Max</th>
+        </tr>
+        ${Object.entries(metrics.processing.byWabaNumber).map(([wabaNumber, latency]) => `
+          <tr>
+            <td>${escapeHtml(wabaNumber)}</td>
+            <td>${latency.count}</td>
+            <td>${latency.avgMs}ms</td>
+            <td>${latency.p50Ms}ms</td>
+            <td>${latency.p95Ms}ms</td>
+            <td>${latency.p99Ms}ms</td>
+            <td>${latency.maxMs}ms</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    ${metrics.processing.orphans.count ? `
+    <button class="collapsible error">Never Stored wamids (${metrics.processing.orphans.count})</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>wamid</th>
+          <th>WABA Number</th>
+          <th>Message ID</th>
+          <th>First Seen</th>
+          <th>Age</th>
+        </tr>
+        ${metrics.processing.orphans.list.slice(0, 100).map(orphan => `
+          <tr>
+            <td>${escapeHtml(orphan.wamid)}</td>
+            <td>${escapeHtml(orphan.wabaNumber)}</td>
+            <td>${escapeHtml(orphan.msgId)}</td>
+            <td>${escapeHtml(orphan.sentTimestamp)}</td>
+            <td>${(orphan.ageMs / 1000).toFixed(1)}s</td>
+          </tr>
+        `).join('')}
+      </table>
+      ${metrics.processing.orphans.count > 100 ? `<p>Showing the 100 oldest of ${metrics.processing.orphans.count}; see log-metrics.json for the full list.</p>` : ''}
+    </div>
+    ` : ''}
+    
+    <button class="collapsible">Source Files (${metrics.sources.length})${scope}</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Source</th>
+          <th>Format</th>
+          <th>Lines</th>
+          <th>Parsed</th>
+          <th>Callbacks</th>
+          <th>New Messages</th>
+          <th>Errors</th>
+          <th>Warnings</th>
+          <th>From</th>
+          <th>To</th>
+        </tr>
+        ${metrics.sources.map(source => `
+          <tr>
+            <td>${escapeHtml(source.source)}</td>
+            <td>${escapeHtml(source.format || 'unknown')}</td>
+            <td>${source.lines}</td>
+            <td>${source.parsedLines}</td>
+            <td>${source.callbacks}</td>
+            <td>${source.newMessages}</td>
+            <td>${source.errors}</td>
+            <td>${source.warnings}</td>
+            <td>${escapeHtml(source.startTime || 'N/A')}</td>
+            <td>${escapeHtml(source.endTime || 'N/A')}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    ${[['logger', 'Loggers', metrics.loggers], ['thread', 'Threads', metrics.threads]].map(([key, title, rows]) => {
+      if (!rows.length) return '';
+      const levels = Object.keys(metrics.logLevels).sort((a, b) => logLevels.indexOf(a) - logLevels.indexOf(b));
+      return `
+    <button class="collapsible">${title} (${rows.length})${scope}</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>${title.slice(0, -1)}</th>
+          <th>Lines</th>
+          <th>Share</th>
+          ${levels.map(level => `<th>${escapeHtml(level.toUpperCase())}</th>`).join('')}
+        </tr>
+        ${rows.slice(0, 100).map(row => `
+          <tr>
+            <td>${escapeHtml(row[key])}</td>
+            <td>${row.lines}</td>
+            <td>${row.share}</td>
+            ${levels.map(level => `<td class="${row.levels[level] && level === 'error' ? 'error' : row.levels[level] && level === 'warn' ? 'warning' : ''}">${row.levels[level] || 0}</td>`).join('')}
+          </tr>
+        `).join('')}
+      </table>
+      ${rows.length > 100 ? `<p>Showing the 100 busiest of ${rows.length}; see log-metrics.json for the full list.</p>` : ''}
+    </div>
+    `;
+    }).join('')}
+    
+    ${metrics.traces.count ? [['slowest', 'Slowest Traces', ''], ['errored', 'Traces With Errors', 'error']].map(([list, title, className]) => {
+      const traces = metrics.traces[list];
+      if (!traces.length) return '';
+      return `
+    <button class="collapsible ${className}">${title} (${list === 'errored' ? metrics.traces.withErrors : metrics.traces.count} traces${traces.length < (list === 'errored' ? metrics.traces.withErrors : metrics.traces.count) ? `, top ${traces.length}` : ''})${scope}</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Trace</th>
+          <th>Duration</th>
+          <th>Lines</th>
+          <th>Errors</th>
+          <th>Warnings</th>
+          <th>Start</th>
+          <th>Loggers</th>
+          <th>${list === 'errored' ? 'First Error' : 'First Message'}</th>
+        </tr>
+        ${traces.map(trace => `
+          <tr>
+            <td>${escapeHtml(trace.traceId)}</td>
+            <td>${trace.durationMs}ms</td>
+            <td>${trace.lines}</td>
+            <td class="${trace.errors ? 'error' : ''}">${trace.errors}</td>
+            <td>${trace.warnings}</td>
+            <td>${escapeHtml(trace.start)}</td>
+            <td>${trace.loggers.map(escapeHtml).join('<br>')}</td>
+            <td>${escapeHtml(list === 'errored' ? trace.firstError : trace.firstMessage)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    `;
+    }).join('') : ''}
+    
+    <button class="collapsible${metrics.dataQuality.issues ? ' warning' : ''}">Data Quality (${metrics.dataQuality.issues} issues in ${metrics.dataQuality.totalLines} lines, ${metrics.dataQuality.issueRate})</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Check</th>
+          <th>Count</th>
+          <th>Samples</th>
+        </tr>
+        ${metrics.dataQuality.checks.map(check => `
+          <tr>
+            <td>${escapeHtml(check.label)}</td>
+            <td class="${check.count ? 'warning' : ''}">${check.count}</td>
+            <td>${check.samples.map(sample => `<div><strong>${escapeHtml(sample.source)}${sample.line ? ':' + sample.line : ''}</strong> ${escapeHtml(sample.reason)}: ${escapeHtml(sample.text)}</div>`).join('')}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    ${metrics.statuses.failures.length ? `
+    <button class="collapsible error">Failure Reasons (${metrics.statuses.funnel.failed})</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Error Code</th>
+          <th>Title</th>
+          <th>Count</th>
+        </tr>
+        ${metrics.statuses.failures.map(failure => `
+          <tr>
+            <td>${escapeHtml(failure.code)}</td>
+            <td>${escapeHtml(failure.title)}</td>
+            <td>${failure.count}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    ` : ''}
+    
+    ${[['error', 'Error Clusters'], ['warning', 'Warning Clusters']].map(([kind, title]) => {
+      const clusters = metrics.issueClusters.filter(cluster => cluster.kind === kind);
+      if (!clusters.length) return '';
+      const lines = clusters.reduce((sum, cluster) => sum + cluster.count, 0);
+      return `
+    <button class="collapsible ${kind}">${title} (${clusters.length} clusters, ${lines} lines)${scope}</button>
+    <div class="content">
+      <table>
+        <tr>
+          <th>Count</th>
+          <th>Logger</th>
+          <th>Template</th>
+          <th>First Seen</th>
+          <th>Last Seen</th>
+          <th>Trend</th>
+        </tr>
+        ${clusters.map(cluster => `
+          <tr>
+            <td>${cluster.count}${cluster.inferred ? ` <span class="${kind}">(in ${escapeHtml(Object.keys(cluster.levels).join('/'))})</span>` : ''}</td>
+            <td>${escapeHtml(cluster.logger)}</td>
+            <td>
+              ${escapeHtml(cluster.template)}
+              <details>
+                <summary>Samples (${cluster.samples.length})</summary>
+                ${cluster.samples.map(sample => `<div>${escapeHtml(sample.timestamp)}: ${escapeHtml(sample.message)}</div>`).join('')}
+              </details>
+            </td>
+            <td>${escapeHtml(cluster.firstSeen)}</td>
+            <td>${escapeHtml(cluster.lastSeen)}</td>
+            <td>${sparkline(cluster.trend)}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    `;
+    }).join('')}
+    
+  </div>
+  
+  <script type="application/json" id="metricsData">${embedJson(metrics)}</script>
+  <script type="application/json" id="messageDetailsData">${embedJson(messageDetails)}</script>
+  <script>
+    ${chartScript()}
+
+    ${explorerScript()}
+
+    // Initialize charts, tables and the selection controls
+    window.onload = function() {
+      const metrics = JSON.parse(document.getElementById('metricsData').textContent);
+      // The explorer reads the message timelines with the metrics; the download leaves them out
+      initExplorer(Object.assign({ messageDetails: JSON.parse(document.getElementById('messageDetailsData').textContent) }, metrics));
+      
+      // Offer the embedded metrics as a download
+      const blob = new Blob([JSON.stringify(metrics, null, 2)], { type: 'application/json' });
+      document.getElementById('downloadMetrics').href = URL.createObjectURL(blob);
+      
+      // Setup collapsible sections
+      const coll = document.getElementsByClassName("collapsible");
+      for (let i = 0; i < coll.length; i++) {
+        coll[i].addEventListener("click", function() {
+          this.classList.toggle("active");
+          const content = this.nextElementSibling;
+          if (content.style.maxHeight) {
+            content.style.maxHeight = null;
+          } else {
+            content.style.maxHeight = content.scrollHeight + "px";
+          }
+        });
       }
-    }
-
-    if (outputFormat === 'html' || outputFormat === 'all') {
-      // Generate HTML report
-      const htmlReport = generateHtmlReport(finalMetrics);
-      const outputFile = path.join(path.dirname(logFile), 'log-metrics-report.html');
-      fs.writeFileSync(outputFile, htmlReport);
-      console.log(`HTML report generated at: ${outputFile}`);
-    }
-
-  } catch (err) {
-    console.error('Error processing log file:', err);
-    process.exit(1);
-  }
-})();
-
-// Function to generate HTML report
-function generateHtmlReport(metrics) {
-  // Create throughput chart data
-  const chartData = metrics.throughput.intervals.map(interval => ({
-    time: interval.timeWindow,
-    messages: interval.messages,
-    stores: interval.stores,
-    cacheHits: interval.cacheHits
-  }));
+    };
+  </script>
+</body>
+</html>`;
+}
 
-  // Create WABA distribution data
-  const wabaData = Object.entries(metrics.wabaNumbers.messageDistribution).map(([wabaNumber, data]) => ({
-    wabaNumber,
-    messages: data.messages,
-    percent: parseFloat(data.percentOfTotal)
-  }));
+// Function to generate the HTML comparison report
+function generateCompareHtmlReport(comparison) {
+  const statusClass = status => ({ regression: 'error', improvement: 'highlight', missing: 'error', shifted: 'warning', new: 'highlight' })[status] || '';
+  const signed = value => value === null ? 'N/A' : (value > 0 ? '+' : '') + value;
 
   return `<!DOCTYPE html>
 <html>
 <head>
-  <title>WhatsApp Message Log Analysis</title>
+  <title>WhatsApp Message Log Comparison</title>
   <style>
-    body { font-family: Arial, sans-serif; margin: 20px; background-color: #f9f9f9; }
-    .container { max-width: 1200px; margin: 0 auto; }
-    h1 { color: #25D366; /* WhatsApp green */ }
-    .metric-card { 
-      background-color: white; 
-      border-radius: 8px; 
-      padding: 15px; 
-      margin-bottom: 15px;
-      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
-    }
-    .metrics-grid {
-      display: grid;
-      grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
-      gap: 15px;
-    }
-    .metric-title { font-weight: bold; margin-bottom: 8px; color: #075E54; /* WhatsApp dark green */ }
-    .metric-value { font-size: 1.2em; }
-    .highlight { color: #128C7E; /* WhatsApp medium green */ }
-    .error { color: #FF0000; }
-    .warning { color: #FFA500; }
-    .chart-container {
-      height: 300px;
-      margin-bottom: 20px;
-    }
-    table {
-      width: 100%;
-      border-collapse: collapse;
-      margin-bottom: 20px;
-    }
-    th, td {
-      padding: 8px;
-      text-align: left;
-      border-bottom: 1px solid #ddd;
-    }
-    th {
-      background-color: #f2f2f2;
-    }
-    tr:hover {
-      background-color: #f5f5f5;
-    }
-    .collapsible {
-      background-color: #f2f2f2;
-      color: #075E54;
-      cursor: pointer;
-      padding: 18px;
-      width: 100%;
-      border: none;
-      text-align: left;
-      outline: none;
-      font-size: 15px;
-      border-radius: 8px;
-      margin-bottom: 5px;
-    }
-    .active, .collapsible:hover {
-      background-color: #e6e6e6;
-    }
-    .content {
-      padding: 0 18px;
-      max-height: 0;
-      overflow: hidden;
-      transition: max-height 0.2s ease-out;
-      background-color: #f9f9f9;
-      border-radius: 0 0 8px 8px;
-    }
+    ${reportStyles()}
   </style>
-  <script src="https://cdnjs.cloudflare.com/ajax/libs/Chart.js/3.9.1/chart.min.js"></script>
 </head>
 <body>
   <div class="container">
-    <h1>WhatsApp Message Log Analysis</h1>
-    
-    <div class="metric-card">
-      <div class="metric-title">Time Range & Overview</div>
-      <div class="metric-value">From: ${new Date(metrics.startTime).toLocaleString()}</div>
-      <div class="metric-value">To: ${new Date(metrics.endTime).toLocaleString()}</div>
-      <div class="metric-value">Duration: ${metrics.duration.seconds}s (${metrics.duration.minutes} min)</div>
-      <div class="metric-value">Success Rate: <span class="highlight">${metrics.messages.successRate}</span></div>
-    </div>
+    <h1>WhatsApp Message Log Comparison</h1>
     
     <div class="metrics-grid">
       <div class="metric-card">
-        <div class="metric-title">Message Metrics</div>
-        <div class="metric-value">Total Messages: <span class="highlight">${metrics.messages.total}</span></div>
-        <div class="metric-value">Messages/Sec: <span class="highlight">${metrics.messages.perSecond}</span></div>
-        <div class="metric-value">Unique WAMIDs: ${metrics.wamids.unique}</div>
-        <div class="metric-value">Unique Message IDs: ${metrics.messageIds.unique}</div>
-      </div>
-      
-      <div class="metric-card">
-        <div class="metric-title">WABA Numbers</div>
-        <div class="metric-value">Count: <span class="highlight">${metrics.wabaNumbers.count}</span></div>
+        <div class="metric-title">Baseline</div>
+        <div class="metric-value">${escapeHtml(comparison.baseline.source)}</div>
+        <div class="metric-value">From: ${new Date(comparison.baseline.startTime).toLocaleString()}</div>
+        <div class="metric-value">To: ${new Date(comparison.baseline.endTime).toLocaleString()}</div>
+        <div class="metric-value">Filters: ${escapeHtml(formatFilters(comparison.baseline.filters))}</div>
       </div>
       
       <div class="metric-card">
-        <div class="metric-title">Job Metrics</div>
-        <div class="metric-value">Completed Jobs: ${metrics.jobs.total}</div>
-        <div class="metric-value">Jobs/Second: ${metrics.jobs.perSecond}</div>
-        <div class="metric-value">Unique Job IDs: ${metrics.jobs.unique}</div>
+        <div class="metric-title">Current</div>
+        <div class="metric-value">${escapeHtml(comparison.current.source)}</div>
+        <div class="metric-value">From: ${new Date(comparison.current.startTime).toLocaleString()}</div>
+        <div class="metric-value">To: ${new Date(comparison.current.endTime).toLocaleString()}</div>
+        <div class="metric-value">Filters: ${escapeHtml(formatFilters(comparison.current.filters))}</div>
       </div>
       
       <div class="metric-card">
-        <div class="metric-title">Cache Metrics</div>
-        <div class="metric-value">Cache Hits: ${metrics.cacheMetrics.hits}</div>
-        <div class="metric-value">Hits/WABA: ${metrics.cacheMetrics.hitsPerWabaNumber}</div>
+        <div class="metric-title">Summary</div>
+        <div class="metric-value">Regressions: <span class="${comparison.summary.regressions ? 'error' : 'highlight'}">${comparison.summary.regressions}</span></div>
+        <div class="metric-value">Improvements: <span class="highlight">${comparison.summary.improvements}</span></div>
+        <div class="metric-value">WABA Shifts: ${comparison.summary.wabaShifts}</div>
+        <div class="metric-value">Threshold: ${comparison.thresholds.default}% (WABA share: ${comparison.thresholds.wabaShare} points)</div>
+        <div class="metric-value"><a id="downloadComparison" download="log-metrics-compare.json" href="#">Download comparison JSON</a></div>
       </div>
-      
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Metric Changes</div>
+      <table>
+        <tr>
+          <th>Metric</th>
+          <th>Baseline</th>
+          <th>Current</th>
+          <th>Delta</th>
+          <th>Change</th>
+          <th>Threshold</th>
+          <th>Status</th>
+        </tr>
+        ${comparison.metrics.map(diff => `
+          <tr>
+            <td>${diff.label}</td>
+            <td>${escapeHtml(diff.baseline === null ? 'N/A' : diff.baseline)}</td>
+            <td>${escapeHtml(diff.current === null ? 'N/A' : diff.current)}</td>
+            <td>${signed(diff.delta)}</td>
+            <td>${diff.percentChange === null ? (diff.delta ? 'new' : 'N/A') : diff.percentChange}</td>
+            <td>${diff.threshold}%</td>
+            <td class="${statusClass(diff.status)}">${diff.status}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+    
+    <div class="metrics-grid">
       <div class="metric-card">
-        <div class="metric-title">Storage Operations</div>
-        <div class="metric-value">Successful Stores: ${metrics.storeOperations}</div>
+        <div class="metric-title">Baseline Throughput</div>
+        <div class="chart-container">
+          <canvas id="baselineThroughputChart"></canvas>
+        </div>
       </div>
       
       <div class="metric-card">
-        <div class="metric-title">Processing Times</div>
-        <div class="metric-value">Average: <span class="highlight">${metrics.processing.avgTimeMs}ms</span></div>
-        <div class="metric-value">Min: ${metrics.processing.minTimeMs}ms</div>
-        <div class="metric-value">Max: ${metrics.processing.maxTimeMs}ms</div>
-        <div class="metric-value">Measured: ${metrics.processing.measuredMessages}</div>
+        <div class="metric-title">Current Throughput</div>
+        <div class="chart-container">
+          <canvas id="currentThroughputChart"></canvas>
+        </div>
       </div>
     </div>
     
     <div class="metric-card">
-      <div class="metric-title">Message Throughput Over Time</div>
+      <div class="metric-title">WABA Share of Messages</div>
       <div class="chart-container">
-        <canvas id="throughputChart"></canvas>
+        <canvas id="wabaShareChart"></canvas>
       </div>
     </div>
     
     <div class="metric-card">
-      <div class="metric-title">WABA Number Distribution</div>
-      <div class="chart-container">
-        <canvas id="wabaDistributionChart"></canvas>
+      <div class="metric-title">WABA Distribution Shifts</div>
+      <table>
+        <tr>
+          <th>WABA Number</th>
+          <th>Baseline Messages</th>
+          <th>Current Messages</th>
+          <th>Baseline Share</th>
+          <th>Current Share</th>
+          <th>Shift (points)</th>
+          <th>Status</th>
+        </tr>
+        ${comparison.wabaShifts.map(shift => `
+          <tr>
+            <td>${escapeHtml(shift.wabaNumber)}</td>
+            <td>${shift.baselineMessages}</td>
+            <td>${shift.currentMessages}</td>
+            <td>${escapeHtml(shift.baselineShare)}</td>
+            <td>${escapeHtml(shift.currentShare)}</td>
+            <td>${signed(shift.shiftPoints)}</td>
+            <td class="${statusClass(shift.status)}">${shift.status}</td>
+          </tr>
+        `).join('')}
+      </table>
+    </div>
+  </div>
+  
+  <script type="application/json" id="comparisonData">${embedJson(comparison)}</script>
+  <script>
+    ${chartScript()}
+
+    window.onload = function() {
+      const comparison = JSON.parse(document.getElementById('comparisonData').textContent);
+      const messages = function(intervals) { return intervals.map(function(interval) { return interval.messages; }); };
+      const offsetLabels = function(intervals) { return intervals.map(function(interval) { return interval.offset; }); };
+
+      // Both throughput charts use the same y scale so they can be read side by side
+      const maxMessages = messages(comparison.throughput.baseline).concat(messages(comparison.throughput.current))
+        .reduce(function(max, value) { return value > max ? value : max; }, 1);
+      const throughputChart = function(id, intervals, color) {
+        renderChart(document.getElementById(id), {
+          type: 'line',
+          yMax: maxMessages,
+          labels: offsetLabels(intervals),
+          datasets: [{ label: 'Messages', data: messages(intervals), color: color }]
+        });
+      };
+      throughputChart('baselineThroughputChart', comparison.throughput.baseline, '#075E54');
+      throughputChart('currentThroughputChart', comparison.throughput.current, '#25D366');
+      
+      renderChart(document.getElementById('wabaShareChart'), {
+        type: 'bar',
+        labels: comparison.wabaShifts.map(function(shift) { return shift.wabaNumber; }),
+        datasets: [
+          { label: 'Baseline %', data: comparison.wabaShifts.map(function(shift) { return parseFloat(shift.baselineShare); }), color: '#075E54' },
+          { label: 'Current %', data: comparison.wabaShifts.map(function(shift) { return parseFloat(shift.currentShare); }), color: '#25D366' }
+        ]
+      });
+      
+      // Offer the embedded comparison as a download
+      const blob = new Blob([JSON.stringify(comparison, null, 2)], { type: 'application/json' });
+      document.getElementById('downloadComparison').href = URL.createObjectURL(blob);
+    };
+  </script>
+</body>
+</html>`;
+}
+
+// Function to generate the HTML trend page from the run history
+function generateHistoryHtmlReport(trends) {
+  const { latest } = trends;
+  const format = value => value === null || value === undefined ? 'N/A' : value;
+  // Colors a change by whether the metric is better higher or lower
+  const changeClass = (better, change) => !change || !better ? '' : (change > 0) === (better === 'higher') ? 'highlight' : 'error';
+  const statusClass = status => ({ new: 'error', rising: 'warning', falling: 'highlight', resolved: 'highlight' })[status] || '';
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <title>WhatsApp Message Log Trends</title>
+  <style>
+    ${reportStyles()}
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>WhatsApp Message Log Trends</h1>
+    
+    <div class="metrics-grid">
+      <div class="metric-card">
+        <div class="metric-title">History</div>
+        <div class="metric-value">${escapeHtml(trends.historyFile || '')}</div>
+        <div class="metric-value">Runs: ${trends.runs}</div>
+        <div class="metric-value">Days: ${trends.days.length} (${escapeHtml(trends.days[0].day)} to ${escapeHtml(latest.day)})</div>
+        <div class="metric-value">Filters: ${escapeHtml(formatFilters(trends.filters))}</div>
+        <div class="metric-value"><a id="downloadTrends" download="log-metrics-history.json" href="#">Download trends JSON</a></div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Latest Day</div>
+        <div class="metric-value">${escapeHtml(latest.day)}</div>
+        <div class="metric-value">Compared with: ${escapeHtml(latest.previousDay || 'no run the day before')}</div>
+        <div class="metric-value">Week before: ${escapeHtml(latest.previousWeek || 'no run a week before')}</div>
       </div>
     </div>
     
-    <button class="collapsible">WABA Message Distribution Details</button>
-    <div class="content">
+    <div class="metric-card">
+      <div class="metric-title">Latest Day Changes</div>
       <table>
         <tr>
-          <th>WABA Number</th>
-          <th>Messages</th>
-          <th>Unique Message IDs</th>
-          <th>Unique WAMIDs</th>
-          <th>% of Total</th>
+          <th>Metric</th>
+          <th>${escapeHtml(latest.day)}</th>
+          <th>Day Before</th>
+          <th>Day over Day</th>
+          <th>Week Before</th>
+          <th>Week over Week</th>
         </tr>
-        ${Object.entries(metrics.wabaNumbers.messageDistribution).map(([wabaNumber, data]) => `
+        ${latest.metrics.map(metric => `
           <tr>
-            <td>${wabaNumber}</td>
-            <td>${data.messages}</td>
-            <td>${data.uniqueMessageIds}</td>
-            <td>${data.uniqueWamids}</td>
-            <td>${data.percentOfTotal}</td>
+            <td>${metric.label}</td>
+            <td>${format(metric.value)}</td>
+            <td>${format(metric.previousDay)}</td>
+            <td class="${changeClass(metric.better, metric.dayOverDay)}">${formatTrend(metric.dayOverDay, metric.rate)}</td>
+            <td>${format(metric.previousWeek)}</td>
+            <td class="${changeClass(metric.better, metric.weekOverWeek)}">${formatTrend(metric.weekOverWeek, metric.rate)}</td>
           </tr>
         `).join('')}
       </table>
     </div>
     
-    <button class="collapsible">Throughput by Time Interval</button>
-    <div class="content">
+    <div class="metrics-grid">
+      <div class="metric-card">
+        <div class="metric-title">Messages per Day</div>
+        <div class="chart-container">
+          <canvas id="messagesChart"></canvas>
+        </div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Throughput (messages/min)</div>
+        <div class="chart-container">
+          <canvas id="throughputChart"></canvas>
+        </div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Delivery, Read and Failure Rates (%)</div>
+        <div class="chart-container">
+          <canvas id="ratesChart"></canvas>
+        </div>
+      </div>
+      
+      <div class="metric-card">
+        <div class="metric-title">Errors and Warnings per Day</div>
+        <div class="chart-container">
+          <canvas id="issuesChart"></canvas>
+        </div>
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Messages per WABA Number (top 8)</div>
+      <div class="chart-container">
+        <canvas id="wabaChart"></canvas>
+      </div>
+    </div>
+    
+    <div class="metric-card">
+      <div class="metric-title">Daily Metrics</div>
       <table>
         <tr>
-          <th>Time Window</th>
+          <th>Day</th>
+          <th>Runs</th>
           <th>Messages</th>
-          <th>Store Operations</th>
-          <th>Cache Hits</th>
-          <th>Jobs</th>
+          <th>Messages/sec</th>
+          <th>Peak/min</th>
+          <th>Delivery %</th>
+          <th>Read %</th>
+          <th>Failure %</th>
+          <th>Errors</th>
+          <th>Warnings</th>
+          <th>Never Stored</th>
+          <th>Processing p95 (ms)</th>
         </tr>
-        ${metrics.throughput.intervals.map(interval => `
+        ${trends.days.map(day => `
           <tr>
-            <td>${interval.timeWindow}</td>
-            <td>${interval.messages}</td>
-            <td>${interval.stores}</td>
-            <td>${interval.cacheHits}</td>
-            <td>${interval.jobs}</td>
+            <td title="${escapeHtml(day.sources.join('\n'))}">${escapeHtml(day.day)}</td>
+            <td>${day.runs}</td>
+            <td>${day.messages} <small>${formatTrend(day.trends.messages.dayOverDay)} DoD</small></td>
+            <td>${format(day.messagesPerSecond)}</td>
+            <td>${format(day.peakMessagesPerMinute)}</td>
+            <td>${format(day.deliveryRate)}</td>
+            <td>${format(day.readRate)} <small>${formatTrend(day.trends.readRate.dayOverDay, true)} DoD</small></td>
+            <td>${format(day.failureRate)}</td>
+            <td>${day.errors}</td>
+            <td>${day.warnings}</td>
+            <td>${day.neverStored}</td>
+            <td>${format(day.processingP95)}</td>
           </tr>
         `).join('')}
       </table>
     </div>
     
-    ${metrics.errors.length ? `
-    <button class="collapsible error">Errors (${metrics.errors.length})</button>
-    <div class="content">
+    <div class="metric-card">
+      <div class="metric-title">WABA Volume on ${escapeHtml(latest.day)}</div>
       <table>
         <tr>
-          <th>Timestamp</th>
-          <th>Message</th>
+          <th>WABA Number</th>
+          <th>Messages</th>
+          <th>Day Before</th>
+          <th>Day over Day</th>
+          <th>Week Before</th>
+          <th>Week over Week</th>
         </tr>
-        ${metrics.errors.map(error => `
+        ${latest.wabaNumbers.map(waba => `
           <tr>
-            <td>${error.timestamp}</td>
-            <td>${error.message}</td>
+            <td>${escapeHtml(waba.wabaNumber)}</td>
+            <td>${waba.messages}</td>
+            <td>${format(waba.previousDay)}</td>
+            <td>${formatTrend(waba.dayOverDay)}</td>
+            <td>${format(waba.previousWeek)}</td>
+            <td>${formatTrend(waba.weekOverWeek)}</td>
           </tr>
         `).join('')}
       </table>
     </div>
-    ` : ''}
     
-    ${metrics.warnings.length ? `
-    <button class="collapsible warning">Warnings (${metrics.warnings.length})</button>
-    <div class="content">
+    <div class="metric-card">
+      <div class="metric-title">Error and Warning Clusters on ${escapeHtml(latest.day)}</div>
       <table>
         <tr>
-          <th>Timestamp</th>
-          <th>Message</th>
+          <th>Kind</th>
+          <th>Logger</th>
+          <th>Template</th>
+          <th>Count</th>
+          <th>Day Before</th>
+          <th>Day over Day</th>
+          <th>Week Before</th>
+          <th>Week over Week</th>
+          <th>Status</th>
         </tr>
-        ${metrics.warnings.map(warning => `
+        ${latest.issueClusters.map(cluster => `
           <tr>
-            <td>${warning.timestamp}</td>
-            <td>${warning.message}</td>
+            <td>${escapeHtml(cluster.kind)}${cluster.inferred ? ' <small>(inferred)</small>' : ''}</td>
+            <td>${escapeHtml(cluster.logger)}</td>
+            <td>${escapeHtml(cluster.template)}</td>
+            <td>${cluster.count}</td>
+            <td>${format(cluster.previousDay)}</td>
+            <td>${formatTrend(cluster.dayOverDay)}</td>
+            <td>${format(cluster.previousWeek)}</td>
+            <td>${formatTrend(cluster.weekOverWeek)}</td>
+            <td class="${statusClass(cluster.status)}">${cluster.status}</td>
           </tr>
         `).join('')}
       </table>
     </div>
-    ` : ''}
-    
   </div>
   
+  <script type="application/json" id="trendsData">${embedJson(trends)}</script>
   <script>
-    // Initialize charts
+    ${chartScript()}
+
     window.onload = function() {
-      // Throughput chart
-      const ctxThroughput = document.getElementById('throughputChart').getContext('2d');
-      new Chart(ctxThroughput, {
+      const trends = JSON.parse(document.getElementById('trendsData').textContent);
+      const labels = trends.days.map(function(day) { return day.day; });
+      // Days without a figure (no messages to take a rate of) are drawn as zero
+      const series = function(read) { return trends.days.map(function(day) { return read(day) || 0; }); };
+
+      renderChart(document.getElementById('messagesChart'), {
+        type: 'bar',
+        labels: labels,
+        datasets: [{ label: 'Messages', data: series(function(day) { return day.messages; }), color: '#075E54' }]
+      });
+      
+      renderChart(document.getElementById('throughputChart'), {
         type: 'line',
-        data: {
-          labels: ${JSON.stringify(chartData.map(item => item.time))},
-          datasets: [
-            {
-              label: 'Messages',
-              data: ${JSON.stringify(chartData.map(item => item.messages))},
-              borderColor: '#25D366',
-              backgroundColor: 'rgba(37, 211, 102, 0.1)',
-              tension: 0.1
-            },
-            {
-              label: 'Store Operations',
-              data: ${JSON.stringify(chartData.map(item => item.stores))},
-              borderColor: '#128C7E',
-              backgroundColor: 'rgba(18, 140, 126, 0.1)',
-              tension: 0.1
-            },
-            {
-              label: 'Cache Hits',
-              data: ${JSON.stringify(chartData.map(item => item.cacheHits))},
-              borderColor: '#075E54',
-              backgroundColor: 'rgba(7, 94, 84, 0.1)',
-              tension: 0.1
-            }
-          ]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          scales: {
-            y: {
-              beginAtZero: true
-            }
-          }
-        }
+        labels: labels,
+        datasets: [
+          { label: 'Average', data: series(function(day) { return day.messagesPerSecond * 60; }), color: '#075E54' },
+          { label: 'Peak', data: series(function(day) { return day.peakMessagesPerMinute; }), color: '#25D366' }
+        ]
       });
       
-      // WABA Distribution chart
-      const ctxWaba = document.getElementById('wabaDistributionChart').getContext('2d');
-      new Chart(ctxWaba, {
-        type: 'pie',
-        data: {
-          labels: ${JSON.stringify(wabaData.map(item => item.wabaNumber))},
-          datasets: [{
-            data: ${JSON.stringify(wabaData.map(item => item.messages))},
-            backgroundColor: [
-              '#25D366', '#128C7E', '#075E54', '#34B7F1', '#5BC0DE', '#4BC0C0',
-              '#36A2EB', '#9966FF', '#FF9F40', '#FF6384'
-            ]
-          }]
-        },
-        options: {
-          responsive: true,
-          maintainAspectRatio: false,
-          plugins: {
-            legend: {
-              position: 'right'
-            },
-            tooltip: {
-              callbacks: {
-                label: function(context) {
-                  const label = context.label || '';
-                  const value = context.raw || 0;
-                  const percentage = wabaData[context.dataIndex].percent;
-                  return label + ': ' + value + ' (' + percentage + '%)';
-                }
-              }
-            }
-          }
-        }
+      renderChart(document.getElementById('ratesChart'), {
+        type: 'line',
+        yMax: 100,
+        labels: labels,
+        datasets: [
+          { label: 'Delivery', data: series(function(day) { return day.deliveryRate; }), color: '#075E54' },
+          { label: 'Read', data: series(function(day) { return day.readRate; }), color: '#25D366' },
+          { label: 'Failure', data: series(function(day) { return day.failureRate; }), color: '#FF6384' }
+        ]
       });
       
-      // Setup collapsible sections
-      const coll = document.getElementsByClassName("collapsible");
-      for (let i = 0; i < coll.length; i++) {
-        coll[i].addEventListener("click", function() {
-          this.classList.toggle("active");
-          const content = this.nextElementSibling;
-          if (content.style.maxHeight) {
-            content.style.maxHeight = null;
-          } else {
-            content.style.maxHeight = content.scrollHeight + "px";
-          }
+      renderChart(document.getElementById('issuesChart'), {
+        type: 'bar',
+        labels: labels,
+        datasets: [
+          { label: 'Errors', data: series(function(day) { return day.errors; }), color: '#FF6384' },
+          { label: 'Warnings', data: series(function(day) { return day.warnings; }), color: '#FF9F40' }
+        ]
+      });
+      
+      // The WABA numbers with the most messages over the whole history
+      const totals = {};
+      trends.days.forEach(function(day) {
+        Object.keys(day.wabaMessages).forEach(function(wabaNumber) {
+          totals[wabaNumber] = (totals[wabaNumber] || 0) + day.wabaMessages[wabaNumber];
         });
-      }
+      });
+      const topWabas = Object.keys(totals).sort(function(a, b) { return totals[b] - totals[a]; }).slice(0, 8);
+      renderChart(document.getElementById('wabaChart'), {
+        type: 'line',
+        labels: labels,
+        datasets: topWabas.map(function(wabaNumber) {
+          return { label: wabaNumber, data: series(function(day) { return day.wabaMessages[wabaNumber]; }) };
+        })
+      });
+      
+      // Offer the embedded trends as a download
+      const blob = new Blob([JSON.stringify(trends, null, 2)], { type: 'application/json' });
+      document.getElementById('downloadTrends').href = URL.createObjectURL(blob);
     };
   </script>
 </body>
 </html>`;
 }
+
+// Library use: const analyzer = require('./log-metrics').createAnalyzer({ rules, filters });
+// analyzer.ingest(line) for each line, then analyzer.finalize() or analyzer.merge(otherShard)
+module.exports = {
+  createAnalyzer,
+  reporters,
+  writeReports,
+  defaultRules,
+  compileRules,
+  loadRules,
+  openLogStream,
+  resolveInputs,
+  renderConsoleSummary,
+  generateHtmlReport,
+  generatePrometheusMetrics,
+  compareRuns,
+  generateCompareHtmlReport,
+  createHistoryRecord,
+  calculateHistoryTrends,
+  generateHistoryHtmlReport
+};
+
+// Run the CLI only when executed directly, not when required as a library
+if (require.main === module) {
+  if (isMainThread) {
+    main(process.argv.slice(2));
+  } else {
+    runWorker();
+  }
+}
@@ -0,0 +1,96 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const { createAnalyzer, compileRules, defaultRules } = require('../log-metrics.js');
+
+// Function to build a logback JSON line
+function logLine(timestamp, message, level = 'INFO', logger = 'com.example.whatsapp.service.MessageService') {
+  return JSON.stringify({ '@timestamp': timestamp, message, logger_name: logger, level });
+}
+
+// Function to build a Moengage status callback line for one wamid
+function callbackLine(timestamp, wamid, status, msgId) {
+  const payload = {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WABA1',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '911111111111', phone_number_id: '106540352242922' },
+          statuses: [{
+            id: wamid,
+            status,
+            timestamp: String(Date.parse(timestamp) / 1000),
+            recipient_id: '919800000001',
+            biz_opaque_callback_data: JSON.stringify({ msg_id: msgId })
+          }]
+        }
+      }]
+    }]
+  };
+  return logLine(timestamp, `Moengage Callback, message: ${JSON.stringify(payload)}`, 'INFO', 'com.example.whatsapp.controller.MoengageCallbackController');
+}
+
+const lines = [
+  callbackLine('2025-05-20T10:00:01.000Z', 'wamid.A', 'sent', 'msg-1'),
+  logLine('2025-05-20T10:00:02.000Z', 'Stored message status for wamid: wamid.A, msgId: msg-1', 'INFO', 'com.example.whatsapp.service.MessageStatusStoreService'),
+  callbackLine('2025-05-20T10:00:03.000Z', 'wamid.A', 'delivered', 'msg-1'),
+  callbackLine('2025-05-20T10:00:04.000Z', 'wamid.B', 'sent', 'msg-2'),
+  logLine('2025-05-20T10:00:05.000Z', 'Cache hit for WABA number: 106540352242922', 'INFO', 'com.example.whatsapp.cache.WabaConfigCache'),
+  'not json',
+  callbackLine('2025-05-20T10:00:06.000Z', 'wamid.B', 'failed', 'msg-2'),
+  logLine('2025-05-20T10:00:07.000Z', 'Failed to send message msg-3: timeout after 3000ms', 'ERROR'),
+  logLine('2025-05-20T10:00:08.000Z', 'Job completed successfully, jobId: job-1', 'INFO', 'com.example.whatsapp.job.CampaignJobRunner')
+];
+
+// Function to finalize an analyzer without the rolling windows, which are measured from the clock
+function finalMetrics(analyzer) {
+  const metrics = analyzer.finalize();
+  delete metrics.throughput.rollingWindows;
+  return metrics;
+}
+
+test('ingest and finalize count messages, statuses, rule matches and problem lines', () => {
+  const analyzer = createAnalyzer();
+  lines.forEach(line => analyzer.ingest(line, 'app.log'));
+  const metrics = analyzer.finalize();
+
+  assert.strictEqual(metrics.messages.total, 2);
+  assert.deepStrictEqual(metrics.statuses.counts, { sent: 2, delivered: 1, failed: 1 });
+  assert.strictEqual(metrics.storeOperations, 1);
+  assert.deepStrictEqual(metrics.rules.matches, { store: 1, 'cache-hit': 1, 'job-completed': 1 });
+  assert.strictEqual(metrics.errorCount, 1);
+
+  const unparseable = metrics.dataQuality.checks.find(check => check.check === 'unparseableLines');
+  assert.strictEqual(unparseable.count, 1);
+  assert.deepStrictEqual(unparseable.samples.map(sample => [sample.source, sample.line]), [['app.log', 6]]);
+});
+
+test('merging two shards of a file matches a single pass, line numbers included', () => {
+  const single = createAnalyzer();
+  lines.forEach(line => single.ingest(line, 'app.log'));
+
+  const first = createAnalyzer();
+  const second = createAnalyzer();
+  lines.slice(0, 4).forEach(line => first.ingest(line, 'app.log'));
+  lines.slice(4).forEach(line => second.ingest(line, 'app.log'));
+
+  const merged = finalMetrics(first.merge(second));
+  assert.deepStrictEqual(merged, finalMetrics(single));
+  assert.strictEqual(merged.dataQuality.checks.find(check => check.check === 'unparseableLines').samples[0].line, 6);
+});
+
+test('compileRules compiles patterns and rejects incomplete rules', () => {
+  const [store] = compileRules(defaultRules);
+  assert.ok(store.pattern instanceof RegExp);
+  assert.ok(store.logger.test('com.example.MessageStatusStoreService'));
+  assert.strictEqual(store.pattern.exec('Stored status for wamid.ABC, msg_id: m-1').groups.msgId, 'm-1');
+
+  assert.strictEqual(compileRules([{ pattern: 'x', counter: 'hits' }])[0].name, 'rule-1');
+  assert.throws(() => compileRules({}), /rules must be an array/);
+  assert.throws(() => compileRules([{ name: 'empty', counter: 'hits' }]), /rule "empty" has no pattern/);
+  assert.throws(() => compileRules([{ name: 'idle', pattern: 'x' }]), /needs a counter, interval or timing/);
+  assert.throws(() => compileRules([{ name: 'half', pattern: 'x', timing: { name: 't' } }]), /timing needs a name, key and an edge/);
+});